@@ -0,0 +1,182 @@
+/**
+ * Reference receiver for Gazer live streaming (streamUrl).
+ * Accepts WebSocket connections and prints every message - no dependencies, no external service.
+ *
+ *   node examples/stream-receiver.js [port]
+ *   new Gazer('webcam', { streamUrl: 'ws://localhost:8090' })
+ *
+ * Only implements the small part of RFC 6455 Gazer needs (text frames, ping/pong, close).
+ * Use a real WebSocket library for production.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.argv[2]) || 8090;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Latest known state per stream session, keyed by sessionId
+const sessions = new Map();
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Split complete frames off the front of buffer; returns the unconsumed rest
+function decodeFrames(buffer, onFrame) {
+  while (buffer.length >= 2) {
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) break;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+
+    onFrame(fin, opcode, payload);
+    buffer = buffer.subarray(offset + length);
+  }
+  return buffer;
+}
+
+function handleMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    console.warn(`[${client.id}] invalid JSON: ${text.slice(0, 80)}`);
+    return;
+  }
+
+  if (message.v !== 1) {
+    console.warn(`[${client.id}] unsupported protocol version ${message.v}`);
+  }
+  if (client.seq !== null && message.seq !== client.seq + 1) {
+    console.warn(`[${client.id}] sequence gap: expected ${client.seq + 1}, got ${message.seq}`);
+  }
+  client.seq = message.seq;
+
+  // Everything but the handshake belongs to a session
+  if (message.type !== "hello" && !sessions.has(client.sessionId)) {
+    console.warn(`[${client.id}] ${message.type} before hello - ignored`);
+    return;
+  }
+
+  const { data } = message;
+  switch (message.type) {
+    case "hello":
+      client.sessionId = data.sessionId;
+      if (!sessions.has(data.sessionId)) {
+        sessions.set(data.sessionId, { gaze: null, faces: null, stats: null });
+      }
+      console.log(`[${client.id}] hello session=${data.sessionId}${data.reconnect ? " (reconnect)" : ""} metadata=${JSON.stringify(data.metadata)}`);
+      break;
+    case "gaze":
+      sessions.get(client.sessionId).gaze = data.state;
+      console.log(`[${client.id}] gaze ${data.previous} -> ${data.state}`);
+      break;
+    case "faces":
+      sessions.get(client.sessionId).faces = data.count;
+      console.log(`[${client.id}] faces ${data.previous} -> ${data.count}${data.count > 1 ? "  <-- multiple people" : ""}`);
+      break;
+    case "stats":
+      sessions.get(client.sessionId).stats = data;
+      console.log(`[${client.id}] stats gaze=${data.gazeState} faces=${data.faceCount} away=${data.awayTime}s fps=${data.processingFps}`);
+      break;
+    case "dropped":
+      console.warn(`[${client.id}] client dropped ${data.count} messages under backpressure`);
+      break;
+    case "end":
+      console.log(`[${client.id}] end (${data.reason})`);
+      break;
+    default:
+      console.log(`[${client.id}] ${message.type} ${JSON.stringify(data)}`);
+  }
+}
+
+let nextClientId = 1;
+
+const server = http.createServer((request, response) => {
+  response.writeHead(200, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(Object.fromEntries(sessions), null, 2));
+});
+
+server.on("upgrade", (request, socket) => {
+  const key = request.headers["sec-websocket-key"];
+  if (!key || request.headers.upgrade.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const client = { id: nextClientId++, sessionId: null, seq: null };
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  console.log(`[${client.id}] connected from ${request.socket.remoteAddress}`);
+
+  socket.on("data", (chunk) => {
+    buffer = decodeFrames(Buffer.concat([buffer, chunk]), (fin, opcode, payload) => {
+      if (opcode === 0x1 || opcode === 0x0) {
+        fragments.push(payload);
+        if (fin) {
+          handleMessage(client, Buffer.concat(fragments).toString("utf8"));
+          fragments = [];
+        }
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+      }
+    });
+  });
+
+  // Upgraded sockets allow half-open connections; close when the client goes away
+  socket.on("end", () => socket.end());
+  socket.on("close", () => console.log(`[${client.id}] disconnected`));
+  socket.on("error", (error) => console.warn(`[${client.id}] ${error.message}`));
+});
+
+server.listen(PORT, () => {
+  console.log(`Gazer stream receiver listening on ws://localhost:${PORT}`);
+  console.log(`Latest state per session: http://localhost:${PORT}/`);
+});
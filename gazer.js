@@ -7,80 +7,5528 @@
  * @license MIT
  */
 
-class Gazer {
-  constructor(videoElementId, options = {}) {
-    // Performance mode presets
-    this.performancePresets = {
-      low: {
-        targetFps: 10,
-        frameSkip: 3,
-        pauseOnIdle: true,
-        reducedCanvas: true,
-        description: "Low CPU usage - Basic tracking"
-      },
-      medium: {
-        targetFps: 15,
-        frameSkip: 2,
-        pauseOnIdle: true,
-        reducedCanvas: false,
-        description: "Balanced performance - Recommended"
-      },
-      high: {
-        targetFps: 25,
-        frameSkip: 1,
-        pauseOnIdle: false,
-        reducedCanvas: false,
-        description: "High performance - Smooth tracking"
+// Error codes reported through onError (error.code)
+const GAZER_ERROR_CODES = {
+  BACKEND_UNAVAILABLE: "BACKEND_UNAVAILABLE",
+  ASSET_MISSING: "ASSET_MISSING",
+  ASSET_INTEGRITY_MISMATCH: "ASSET_INTEGRITY_MISMATCH",
+  MODEL_LOAD_TIMEOUT: "MODEL_LOAD_TIMEOUT",
+  MODEL_LOAD_FAILED: "MODEL_LOAD_FAILED",
+  CALIBRATION_FAILED: "CALIBRATION_FAILED",
+  CALIBRATION_CANCELLED: "CALIBRATION_CANCELLED",
+  CALIBRATION_INVALID: "CALIBRATION_INVALID",
+  RECORDING_INVALID: "RECORDING_INVALID",
+  TRACKING_DATA_DROPPED: "TRACKING_DATA_DROPPED",
+  CAMERA_PERMISSION_DENIED: "CAMERA_PERMISSION_DENIED",
+  CAMERA_NOT_FOUND: "CAMERA_NOT_FOUND",
+  CAMERA_IN_USE: "CAMERA_IN_USE",
+  CAMERA_UNAVAILABLE: "CAMERA_UNAVAILABLE",
+  CAMERA_LOST: "CAMERA_LOST",
+};
+
+// Error with a machine-readable code and optional details
+class GazerError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "GazerError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// URL gazer.js was loaded from, so worker mode can load the same file inside the worker
+const GAZER_SCRIPT_URL = typeof document !== "undefined" && document.currentScript ? document.currentScript.src : null;
+
+// Random ID for delivery records and stream sessions
+function createUniqueId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Minimal webcam frame source used when MediaPipe camera_utils is not loaded.
+// Mirrors the Camera interface: start(), stop() and an onFrame callback per frame.
+class GazerCamera {
+  constructor(video, options = {}) {
+    this.video = video;
+    this.options = options;
+    this.stream = null;
+    this.animationFrame = null;
+    this.active = false;
+  }
+
+  async start() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error("getUserMedia is not supported in this browser");
+    }
+
+    const video = {
+      width: this.options.width,
+      height: this.options.height,
+    };
+    if (this.options.deviceId) {
+      video.deviceId = { exact: this.options.deviceId };
+    } else if (this.options.facingMode) {
+      video.facingMode = this.options.facingMode;
+    }
+
+    this.stream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+
+    this.video.srcObject = this.stream;
+    await this.video.play();
+    this.active = true;
+
+    const loop = async () => {
+      if (!this.active) return;
+      if (this.options.onFrame) {
+        await this.options.onFrame();
+      }
+      if (this.active) {
+        this.animationFrame = requestAnimationFrame(loop);
       }
     };
+    this.animationFrame = requestAnimationFrame(loop);
+  }
 
-    // Gaze sensitivity presets
-    this.sensitivityPresets = {
-      strict: {
-        horizontalThreshold: 0.2,
-        verticalThreshold: 0.1,
-        gazeHistorySize: 3,
-        description: "Strict detection - Requires precise gaze alignment"
+  async stop() {
+    this.active = false;
+
+    if (this.animationFrame !== null) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+
+    this.video.srcObject = null;
+  }
+
+  // Turn a getUserMedia failure into a GazerError whose code tells permission, missing and busy cameras apart
+  static toGazerError(error) {
+    if (error instanceof GazerError) return error;
+
+    const name = error && error.name;
+    let code = GAZER_ERROR_CODES.CAMERA_UNAVAILABLE;
+    let message = `Camera unavailable: ${error && error.message}`;
+    if (name === "NotAllowedError" || name === "SecurityError" || name === "PermissionDeniedError") {
+      code = GAZER_ERROR_CODES.CAMERA_PERMISSION_DENIED;
+      message = "Camera permission denied";
+    } else if (name === "NotFoundError" || name === "OverconstrainedError" || name === "DevicesNotFoundError") {
+      code = GAZER_ERROR_CODES.CAMERA_NOT_FOUND;
+      message = "No matching camera found";
+    } else if (name === "NotReadableError" || name === "TrackStartError" || name === "AbortError") {
+      code = GAZER_ERROR_CODES.CAMERA_IN_USE;
+      message = "Camera is in use or could not be started";
+    }
+    return new GazerError(code, message, { cause: error, name });
+  }
+}
+
+// Base class for detector backends.
+// A backend loads its models and turns one video frame into a result of the form
+// { detections: [{ boundingBox, score }], multiFaceLandmarks: [[{ x, y, z }, ...]] }
+// using normalized (0-1) coordinates, the same shape the legacy MediaPipe solutions produce.
+class GazerBackend {
+  constructor(config = {}) {
+    this.config = config;
+    this.timings = {}; // ms each inference stage took in the last detect()
+  }
+
+  // High-resolution clock for timing inference
+  static now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+  }
+
+  // Load models. Resolves once the backend is ready to detect.
+  async load() {}
+
+  // Run detection on a single frame
+  async detect(image, timestamp) {
+    return { detections: [], multiFaceLandmarks: [] };
+  }
+
+  // URLs of the WASM and model files load() will fetch
+  getAssetUrls() {
+    return [];
+  }
+
+  // Check every asset is reachable (and matches its SRI hash when one is given in `integrity`,
+  // keyed by file name or full URL). Rejects with ASSET_MISSING or ASSET_INTEGRITY_MISMATCH.
+  async verifyAssets(integrity = {}) {
+    for (const url of this.getAssetUrls()) {
+      const fileName = url.split("/").pop();
+      const expectedHash = integrity[url] || integrity[fileName];
+
+      let response;
+      try {
+        response = await fetch(url, { method: expectedHash ? "GET" : "HEAD" });
+      } catch (error) {
+        throw new GazerError(GAZER_ERROR_CODES.ASSET_MISSING, `Model asset could not be fetched: ${url} (${error.message})`, { url });
+      }
+
+      if (!response.ok) {
+        throw new GazerError(GAZER_ERROR_CODES.ASSET_MISSING, `Model asset not found: ${url} (HTTP ${response.status})`, { url, status: response.status });
+      }
+
+      if (expectedHash) {
+        const actualHash = await GazerBackend.computeIntegrity(await response.arrayBuffer(), expectedHash);
+        if (actualHash !== expectedHash) {
+          throw new GazerError(GAZER_ERROR_CODES.ASSET_INTEGRITY_MISMATCH, `Model asset failed integrity check: ${url}`, { url, expected: expectedHash, actual: actualHash });
+        }
+      }
+    }
+  }
+
+  // Create the frame source that drives detection for a live video element
+  createCamera(video, options) {
+    // camera_utils can only pick by facing mode, so a specific device always uses GazerCamera
+    if (typeof Camera !== "undefined" && !options.deviceId) {
+      return new Camera(video, options);
+    }
+    return new GazerCamera(video, options);
+  }
+
+  // Apply changed settings (e.g. maxNumFaces) to a loaded backend
+  async setOptions(options) {
+    Object.assign(this.config, options);
+  }
+
+  // Release model resources
+  close() {}
+
+  // Compute an SRI string ("sha384-<base64>") using the same algorithm as `reference`
+  static async computeIntegrity(buffer, reference) {
+    const algorithm = reference.split("-")[0];
+    const digestNames = { sha256: "SHA-256", sha384: "SHA-384", sha512: "SHA-512" };
+    if (!digestNames[algorithm]) {
+      throw new Error(`Unsupported integrity algorithm "${algorithm}"`);
+    }
+
+    const digest = await crypto.subtle.digest(digestNames[algorithm], buffer);
+    let binary = "";
+    new Uint8Array(digest).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return `${algorithm}-${btoa(binary)}`;
+  }
+
+  // Join an asset base URL and a file name
+  static assetUrl(base, file) {
+    return `${base.replace(/\/+$/, "")}/${file}`;
+  }
+
+  // Derive a detection (bounding box and score) from mesh landmarks. Mesh models report no score,
+  // so it is the share of landmarks inside the frame: a face partly out of view scores lower.
+  static detectionFromLandmarks(landmarks) {
+    let minX = 1, minY = 1, maxX = 0, maxY = 0;
+    let inside = 0;
+
+    landmarks.forEach((point) => {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+      if (point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1) {
+        inside++;
+      }
+    });
+
+    return {
+      boundingBox: {
+        xCenter: (minX + maxX) / 2,
+        yCenter: (minY + maxY) / 2,
+        width: maxX - minX,
+        height: maxY - minY,
       },
-      medium: {
-        horizontalThreshold: 0.3,
-        verticalThreshold: 0.15,
-        gazeHistorySize: 5,
-        description: "Balanced sensitivity - Recommended for most users"
+      score: landmarks.length > 0 ? inside / landmarks.length : 0,
+    };
+  }
+}
+
+// Legacy MediaPipe solutions backend (@mediapipe/face_detection + @mediapipe/face_mesh).
+// The "dual" pipeline runs both models on every frame. The "mesh" pipeline runs only the mesh and takes
+// face count, boxes and scores from it; face detection then runs every faceDetectionInterval ms (if set)
+// to count faces beyond maxNumFaces.
+class LegacyMediaPipeBackend extends GazerBackend {
+  constructor(config = {}) {
+    super(config);
+    this.faceDetection = null;
+    this.faceMesh = null;
+    this.lastDetectionResults = null;
+    this.lastMeshResults = null;
+    this.lastDetectionTime = null;
+    this.periodicDetections = []; // Latest face detector output in the "mesh" pipeline
+  }
+
+  usesFaceDetection() {
+    return this.config.pipeline !== "mesh" || this.config.faceDetectionInterval > 0;
+  }
+
+  async load() {
+    if (typeof FaceMesh === "undefined" || (this.usesFaceDetection() && typeof FaceDetection === "undefined")) {
+      throw new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, "MediaPipe FaceDetection/FaceMesh scripts not loaded");
+    }
+
+    this.lastDetectionTime = null;
+    this.periodicDetections = [];
+    if (this.usesFaceDetection()) {
+      this.initializeFaceDetection();
+    }
+
+    // Initialize face mesh
+    this.faceMesh = new FaceMesh({
+      locateFile: (file) => {
+        return GazerBackend.assetUrl(this.config.faceMeshAssetUrl, file);
       },
-      relaxed: {
-        horizontalThreshold: 0.5,
-        verticalThreshold: 0.25,
-        gazeHistorySize: 7,
-        description: "Relaxed detection - More forgiving gaze tracking"
+    });
+
+    this.faceMesh.setOptions({
+      maxNumFaces: this.config.maxNumFaces,
+      refineLandmarks: this.config.refineLandmarks,
+      minDetectionConfidence: this.config.faceMeshConfidence,
+      minTrackingConfidence: this.config.faceMeshTracking,
+    });
+
+    // Capture results; send() resolves after onResults has fired
+    this.faceMesh.onResults((results) => {
+      this.lastMeshResults = results;
+    });
+
+    // Fetch WASM and model files now rather than on the first frame
+    if (this.faceDetection) {
+      await this.faceDetection.initialize();
+    }
+    await this.faceMesh.initialize();
+  }
+
+  initializeFaceDetection() {
+    this.faceDetection = new FaceDetection({
+      locateFile: (file) => {
+        return GazerBackend.assetUrl(this.config.faceDetectionAssetUrl, file);
+      },
+    });
+
+    this.faceDetection.setOptions({
+      model: this.config.faceDetectionModel,
+      minDetectionConfidence: this.config.faceDetectionConfidence,
+    });
+
+    this.faceDetection.onResults((results) => {
+      this.lastDetectionResults = results;
+    });
+  }
+
+  // SIMD builds are listed; browsers without WASM SIMD fetch the *_wasm_bin.* fallbacks instead
+  getAssetUrls() {
+    const range = this.config.faceDetectionModel === "full" ? "full_range" : "short_range";
+    const detectionFiles = [
+      `face_detection_${this.config.faceDetectionModel}.binarypb`,
+      `face_detection_${range}.tflite`,
+      "face_detection_solution_simd_wasm_bin.js",
+      "face_detection_solution_simd_wasm_bin.wasm",
+      "face_detection_solution_simd_wasm_bin.data",
+    ];
+    const meshFiles = [
+      "face_mesh.binarypb",
+      "face_mesh_solution_packed_assets_loader.js",
+      "face_mesh_solution_packed_assets.data",
+      "face_mesh_solution_simd_wasm_bin.js",
+      "face_mesh_solution_simd_wasm_bin.wasm",
+      "face_mesh_solution_simd_wasm_bin.data",
+    ];
+
+    return [
+      ...(this.usesFaceDetection() ? detectionFiles : []).map((file) => GazerBackend.assetUrl(this.config.faceDetectionAssetUrl, file)),
+      ...meshFiles.map((file) => GazerBackend.assetUrl(this.config.faceMeshAssetUrl, file)),
+    ];
+  }
+
+  async detect(image, timestamp) {
+    this.lastDetectionResults = null;
+    this.lastMeshResults = null;
+    this.timings = {};
+
+    const meshOnly = this.config.pipeline === "mesh";
+    const runDetection = !meshOnly || (this.faceDetection !== null &&
+      (this.lastDetectionTime === null || timestamp - this.lastDetectionTime >= this.config.faceDetectionInterval));
+
+    if (runDetection) {
+      const detectionStart = GazerBackend.now();
+      await this.faceDetection.send({ image });
+      this.timings.faceDetection = GazerBackend.now() - detectionStart;
+      this.lastDetectionTime = timestamp;
+    }
+    const meshStart = GazerBackend.now();
+    await this.faceMesh.send({ image });
+    this.timings.faceMesh = GazerBackend.now() - meshStart;
+
+    const detectionResults = this.lastDetectionResults || {};
+    const meshResults = this.lastMeshResults || {};
+    const multiFaceLandmarks = meshResults.multiFaceLandmarks || [];
+
+    if (!meshOnly) {
+      return {
+        detections: detectionResults.detections || detectionResults.faces || [],
+        multiFaceLandmarks,
+      };
+    }
+
+    if (runDetection) {
+      this.periodicDetections = detectionResults.detections || detectionResults.faces || [];
+    }
+
+    // Faces the detector found that no mesh covers (beyond maxNumFaces), as of its last run.
+    // Detector and mesh boxes differ in size, so a face counts as covered if either center is inside the other box.
+    const detections = multiFaceLandmarks.map((landmarks) => GazerBackend.detectionFromLandmarks(landmarks));
+    const meshBoxes = detections.map((detection) => detection.boundingBox);
+    const contains = (box, point) =>
+      Math.abs(point.xCenter - box.xCenter) <= box.width / 2 && Math.abs(point.yCenter - box.yCenter) <= box.height / 2;
+    this.periodicDetections.forEach((detection) => {
+      const box = detection.boundingBox || detection.bbox;
+      if (box && !meshBoxes.some((meshBox) => contains(meshBox, box) || contains(box, meshBox))) {
+        detections.push(detection);
+      }
+    });
+
+    return { detections, multiFaceLandmarks };
+  }
+
+  async setOptions(options) {
+    await super.setOptions(options);
+    if (this.faceMesh) {
+      this.faceMesh.setOptions({ maxNumFaces: this.config.maxNumFaces });
+    }
+  }
+
+  close() {
+    if (this.faceDetection) {
+      this.faceDetection.close();
+      this.faceDetection = null;
+    }
+    if (this.faceMesh) {
+      this.faceMesh.close();
+      this.faceMesh = null;
+    }
+  }
+}
+
+// MediaPipe Tasks backend (@mediapipe/tasks-vision FaceLandmarker).
+// Pass the imported tasks-vision module as `tasksVision`, or expose
+// FaceLandmarker/FilesetResolver as globals.
+class FaceLandmarkerBackend extends GazerBackend {
+  constructor(config = {}) {
+    super(config);
+    this.faceLandmarker = null;
+    this.lastTimestamp = -1;
+  }
+
+  async load() {
+    const vision = this.config.tasksVision || (typeof window !== "undefined" ? window : {});
+    const { FaceLandmarker, FilesetResolver } = vision;
+
+    if (!FaceLandmarker || !FilesetResolver) {
+      throw new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, "MediaPipe Tasks FaceLandmarker not available - pass the tasks-vision module as `tasksVision`");
+    }
+
+    const fileset = await FilesetResolver.forVisionTasks(this.config.tasksWasmUrl);
+
+    this.faceLandmarker = await FaceLandmarker.createFromOptions(fileset, {
+      baseOptions: {
+        modelAssetPath: this.config.faceLandmarkerModelUrl,
+        delegate: "GPU",
+      },
+      runningMode: "VIDEO",
+      numFaces: this.config.maxNumFaces,
+      minFaceDetectionConfidence: this.config.faceDetectionConfidence,
+      minFacePresenceConfidence: this.config.faceMeshConfidence,
+      minTrackingConfidence: this.config.faceMeshTracking,
+    });
+  }
+
+  getAssetUrls() {
+    return [
+      GazerBackend.assetUrl(this.config.tasksWasmUrl, "vision_wasm_internal.js"),
+      GazerBackend.assetUrl(this.config.tasksWasmUrl, "vision_wasm_internal.wasm"),
+      this.config.faceLandmarkerModelUrl,
+    ];
+  }
+
+  async detect(image, timestamp) {
+    // detectForVideo requires strictly increasing timestamps
+    const frameTime = Math.max(timestamp, this.lastTimestamp + 1);
+    this.lastTimestamp = frameTime;
+
+    const start = GazerBackend.now();
+    const result = this.faceLandmarker.detectForVideo(image, frameTime);
+    this.timings = { faceLandmarker: GazerBackend.now() - start };
+    const multiFaceLandmarks = (result && result.faceLandmarks) || [];
+
+    return {
+      detections: multiFaceLandmarks.map((landmarks) =>
+        GazerBackend.detectionFromLandmarks(landmarks)
+      ),
+      multiFaceLandmarks,
+    };
+  }
+
+  async setOptions(options) {
+    await super.setOptions(options);
+    if (this.faceLandmarker) {
+      await this.faceLandmarker.setOptions({ numFaces: this.config.maxNumFaces });
+    }
+  }
+
+  close() {
+    if (this.faceLandmarker) {
+      this.faceLandmarker.close();
+      this.faceLandmarker = null;
+    }
+  }
+}
+
+// Injectable backend returning canned frames, for tests and demos without a camera.
+// `config.frames` is an array of results (consumed in order) or a function (image, timestamp) => result.
+class MockBackend extends GazerBackend {
+  constructor(config = {}) {
+    super(config);
+    this.frames = config.frames || [];
+    this.frameIndex = 0;
+  }
+
+  // Queue another canned frame
+  pushFrame(frame) {
+    if (Array.isArray(this.frames)) {
+      this.frames.push(frame);
+    }
+  }
+
+  async detect(image, timestamp) {
+    let frame;
+    if (typeof this.frames === "function") {
+      frame = this.frames(image, timestamp);
+    } else {
+      frame = this.frames[this.frameIndex];
+      if (this.frameIndex < this.frames.length) {
+        this.frameIndex++;
+      }
+    }
+
+    frame = frame || {};
+    const multiFaceLandmarks = frame.multiFaceLandmarks || [];
+
+    return {
+      detections: frame.detections ||
+        multiFaceLandmarks.map((landmarks) => GazerBackend.detectionFromLandmarks(landmarks)),
+      multiFaceLandmarks,
+    };
+  }
+
+  // Frames are pushed through processFrame(), so the camera does nothing
+  createCamera(video, options) {
+    return {
+      start: async () => {},
+      stop: async () => {},
+    };
+  }
+}
+
+// Runs another backend in a Web Worker (`worker: true`). Each frame is transferred as a VideoFrame (or
+// ImageBitmap) and the results come back as a message, so inference stays off the main thread.
+// The worker is a module that imports gazer.js and serves requests with GazerWorkerHost.
+class WorkerBackend extends GazerBackend {
+  constructor(config = {}, options = {}) {
+    super(config);
+    this.backendName = options.backend || "tasks"; // Backend to run inside the worker
+    this.worker = null;
+    this.workerUrl = null;
+    this.pending = new Map(); // Request ID -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.ready = null;
+  }
+
+  static isSupported() {
+    return typeof Worker !== "undefined" && typeof Blob !== "undefined" && typeof URL !== "undefined" &&
+      (typeof VideoFrame !== "undefined" || typeof createImageBitmap !== "undefined");
+  }
+
+  // Structured-cloneable copy of the settings the worker's backend needs (no callbacks or modules)
+  static workerConfig(config) {
+    const plain = JSON.parse(JSON.stringify(config, (key, value) => (typeof value === "function" ? undefined : value)));
+    delete plain.tasksVision;
+    delete plain.backend;
+    return plain;
+  }
+
+  // Module worker source: import tasks-vision (for the tasks backend) and gazer.js, then serve
+  getWorkerSource(scriptUrl) {
+    const lines = [];
+    if (this.backendName === "tasks") {
+      lines.push(`import * as tasksVision from ${JSON.stringify(this.config.tasksVisionUrl)};`);
+    }
+    lines.push(`await import(${JSON.stringify(scriptUrl)});`);
+    lines.push(`self.Gazer.WorkerHost.listen(self, { tasksVision: ${this.backendName === "tasks" ? "tasksVision" : "null"} });`);
+    return lines.join("\n");
+  }
+
+  createWorker() {
+    const scriptUrl = this.config.workerScriptUrl || GAZER_SCRIPT_URL;
+    if (!scriptUrl) {
+      throw new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, "Worker mode needs the URL of gazer.js - set `workerScriptUrl`");
+    }
+
+    const source = this.getWorkerSource(new URL(scriptUrl, typeof location !== "undefined" ? location.href : undefined).href);
+    this.workerUrl = URL.createObjectURL(new Blob([source], { type: "text/javascript" }));
+    return new Worker(this.workerUrl, { type: "module" });
+  }
+
+  async load() {
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+
+    this.worker = this.createWorker();
+    this.worker.addEventListener("message", (event) => this.handleMessage(event.data));
+    this.worker.addEventListener("error", (event) => {
+      event.preventDefault();
+      this.failAll(new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, `Worker failed: ${event.message || "script error"}`));
+    });
+
+    // A module worker only listens once its imports have loaded
+    await this.ready;
+    await this.request({ type: "load", backend: this.backendName, config: WorkerBackend.workerConfig(this.config) });
+  }
+
+  // Hand the overlay's OffscreenCanvas to the worker, which draws on it from then on
+  attachOverlay(canvas) {
+    this.worker.postMessage({ type: "overlay", canvas }, [canvas]);
+  }
+
+  // Copy the current frame into a transferable VideoFrame (no pixel copy) or ImageBitmap
+  static async captureFrame(image, timestamp) {
+    if (typeof VideoFrame !== "undefined") {
+      try {
+        return new VideoFrame(image, { timestamp: Math.round(timestamp * 1000) });
+      } catch (error) {
+        // Not a VideoFrame source (or no frame yet) - fall back to an ImageBitmap
+      }
+    }
+    return createImageBitmap(image);
+  }
+
+  async detect(image, timestamp) {
+    const frame = await WorkerBackend.captureFrame(image, timestamp);
+    const response = await this.request({ type: "detect", frame, timestamp }, [frame]);
+    this.timings = response.timings || {};
+    return response.results;
+  }
+
+  async setOptions(options) {
+    await super.setOptions(options);
+    await this.request({ type: "setOptions", options: WorkerBackend.workerConfig(options) });
+  }
+
+  // Replay recorded overlay drawing onto the worker's OffscreenCanvas; no reply
+  drawOverlay(commands, width, height) {
+    if (this.worker) {
+      this.worker.postMessage({ type: "draw", commands, width, height });
+    }
+  }
+
+  request(message, transfer = []) {
+    if (!this.worker) {
+      return Promise.reject(new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, "Worker is not running"));
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  handleMessage(message) {
+    if (message.type === "ready") {
+      this.resolveReady();
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      request.reject(new GazerError(message.error.code || GAZER_ERROR_CODES.MODEL_LOAD_FAILED, message.error.message));
+    } else {
+      request.resolve(message);
+    }
+  }
+
+  failAll(error) {
+    if (this.rejectReady) {
+      this.rejectReady(error);
+    }
+    this.pending.forEach((request) => request.reject(error));
+    this.pending.clear();
+  }
+
+  close() {
+    if (this.worker) {
+      this.worker.postMessage({ type: "close" });
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerUrl) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+    this.failAll(new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, "Worker closed"));
+  }
+}
+
+// Worker side of WorkerBackend: owns the real backend and the overlay's OffscreenCanvas.
+// WorkerBackend's module worker runs (see getWorkerSource):
+//   await import("gazer.js"); self.Gazer.WorkerHost.listen(self, { tasksVision });
+class GazerWorkerHost {
+  constructor(scope, options = {}) {
+    this.scope = scope;
+    this.options = options; // { tasksVision } - the module for the tasks backend
+    this.backend = null;
+    this.overlayContext = null;
+  }
+
+  static listen(scope = self, options = {}) {
+    const host = new GazerWorkerHost(scope, options);
+    scope.addEventListener("message", (event) => host.handleMessage(event.data));
+    scope.postMessage({ type: "ready" });
+    return host;
+  }
+
+  reply(id, data) {
+    this.scope.postMessage({ id, ...data });
+  }
+
+  async handleMessage(message) {
+    try {
+      switch (message.type) {
+        case "load":
+          await this.load(message.backend, message.config);
+          this.reply(message.id, {});
+          break;
+        case "detect":
+          this.reply(message.id, await this.detect(message.frame, message.timestamp));
+          break;
+        case "setOptions":
+          await this.backend.setOptions(message.options);
+          this.reply(message.id, {});
+          break;
+        case "overlay":
+          this.overlayContext = message.canvas.getContext("2d");
+          break;
+        case "draw":
+          this.drawOverlay(message.commands, message.width, message.height);
+          break;
+        case "close":
+          if (this.backend) {
+            this.backend.close();
+            this.backend = null;
+          }
+          break;
+      }
+    } catch (error) {
+      if (message.id !== undefined) {
+        this.reply(message.id, { error: { code: error.code || null, message: error.message } });
+      }
+    }
+  }
+
+  async load(backendName, config) {
+    const BackendClass = GAZER_BACKENDS[backendName];
+    if (!BackendClass) {
+      throw new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, `Unknown backend "${backendName}"`);
+    }
+    this.backend = new BackendClass({ ...config, tasksVision: this.options.tasksVision || null });
+    await this.backend.load();
+  }
+
+  async detect(frame, timestamp) {
+    try {
+      const results = await this.backend.detect(frame, timestamp);
+      return { results, timings: this.backend.timings };
+    } finally {
+      frame.close();
+    }
+  }
+
+  drawOverlay(commands, width, height) {
+    if (!this.overlayContext) return;
+
+    const canvas = this.overlayContext.canvas;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    OverlayCommandRecorder.replay(this.overlayContext, commands);
+  }
+}
+
+// Stand-in 2D context for an overlay canvas handed to a worker (transferControlToOffscreen):
+// records drawing calls and style changes for the worker to replay once per frame.
+// `canvas` holds the size, like a real context's canvas.
+class OverlayCommandRecorder {
+  constructor(width = 300, height = 150) {
+    this.canvas = { width, height };
+    this.commands = [];
+    this.state = {};
+  }
+
+  // Hand over the commands recorded since the last call
+  take() {
+    const commands = this.commands;
+    this.commands = [];
+    return commands;
+  }
+
+  clearRect(x, y, width, height) {
+    // Clearing everything makes earlier commands invisible, so drop them
+    if (x <= 0 && y <= 0 && width >= this.canvas.width && height >= this.canvas.height) {
+      this.commands = [];
+    }
+    this.commands.push(["call", "clearRect", [x, y, width, height]]);
+  }
+
+  static replay(ctx, commands) {
+    commands.forEach(([kind, name, value]) => {
+      if (kind === "set") {
+        ctx[name] = value;
+      } else {
+        ctx[name](...value);
+      }
+    });
+  }
+}
+
+["strokeRect", "fillRect", "fillText", "beginPath", "closePath", "moveTo", "lineTo", "arc", "fill", "stroke", "save", "restore"].forEach((method) => {
+  OverlayCommandRecorder.prototype[method] = function (...args) {
+    this.commands.push(["call", method, args]);
+  };
+});
+["strokeStyle", "fillStyle", "lineWidth", "lineCap", "font", "textBaseline", "globalAlpha"].forEach((property) => {
+  Object.defineProperty(OverlayCommandRecorder.prototype, property, {
+    get() {
+      return this.state[property];
+    },
+    set(value) {
+      this.state[property] = value;
+      this.commands.push(["set", property, value]);
+    },
+  });
+});
+
+// Registered detector backends, selectable by name through the `backend` option
+const GAZER_BACKENDS = {
+  legacy: LegacyMediaPipeBackend,
+  tasks: FaceLandmarkerBackend,
+  mock: MockBackend,
+};
+
+// Tunes targetFps, frameSkip and camera resolution to the measured inference cost ("auto" performance
+// mode). Load is the share of wall time spent in inference over a window, latency the mean inference
+// time per frame. Over budget it sheds work in order of accuracy cost - frame rate, then frame skip,
+// then resolution (first when latency alone is too high) - and adds it back in reverse with headroom.
+class AdaptivePerformanceController {
+  constructor(options = {}) {
+    this.cpuBudget = options.cpuBudget !== undefined ? options.cpuBudget : 0.5;
+    this.latencyTarget = options.latencyTarget !== undefined ? options.latencyTarget : 80;
+    this.minFps = options.minFps !== undefined ? options.minFps : 5;
+    this.maxFps = options.maxFps !== undefined ? options.maxFps : 30;
+    this.maxFrameSkip = options.maxFrameSkip !== undefined ? options.maxFrameSkip : 3;
+    this.resolutions = options.resolutions || []; // Largest first
+    this.resolutionIndex = options.resolutionIndex || 0;
+    this.interval = options.interval !== undefined ? options.interval : 2000; // ms per measurement window
+    this.minSamples = options.minSamples !== undefined ? options.minSamples : 5;
+    this.headroom = options.headroom !== undefined ? options.headroom : 0.6; // Increase below this share of the limits
+    this.headroomWindows = 0; // Consecutive windows with headroom; two are needed to add work back
+    this.reset();
+  }
+
+  // Windows are back to back: each starts where the previous one ended, so the span covers
+  // every frame interval whose inference it counts
+  reset(windowStart = null) {
+    this.samples = [];
+    this.windowStart = windowStart;
+  }
+
+  // One frame's inference time (ms) and its per-stage breakdown; timestamp is when inference finished
+  addSample(timestamp, duration, stages = {}) {
+    if (this.windowStart === null) {
+      this.windowStart = timestamp - duration;
+    }
+    this.samples.push({ duration, stages });
+  }
+
+  getMetrics(now) {
+    const total = this.samples.reduce((sum, sample) => sum + sample.duration, 0);
+    const stages = {};
+    this.samples.forEach((sample) => {
+      Object.keys(sample.stages).forEach((stage) => {
+        stages[stage] = (stages[stage] || 0) + sample.stages[stage] / this.samples.length;
+      });
+    });
+    return {
+      load: total / Math.max(1, now - this.windowStart),
+      latency: total / this.samples.length,
+      stages,
+    };
+  }
+
+  // Close the window once it is long enough; returns { setting, from, to, reason, ... } or null.
+  // `current` is { targetFps, frameSkip }; resolution changes are tracked here.
+  evaluate(current, now) {
+    if (this.windowStart === null || now - this.windowStart < this.interval || this.samples.length < this.minSamples) {
+      return null;
+    }
+
+    const metrics = this.getMetrics(now);
+    this.reset(now);
+
+    const decide = (setting, from, to, reason) => ({
+      timestamp: now,
+      setting,
+      from,
+      to,
+      reason,
+      load: Math.round(metrics.load * 100) / 100,
+      latency: Math.round(metrics.latency * 10) / 10,
+      stages: Object.fromEntries(Object.entries(metrics.stages).map(([stage, ms]) => [stage, Math.round(ms * 10) / 10])),
+    });
+    const lowerResolution = (reason) => {
+      const from = this.resolutions[this.resolutionIndex];
+      this.resolutionIndex++;
+      return decide("resolution", from, this.resolutions[this.resolutionIndex], reason);
+    };
+    const canLowerResolution = this.resolutionIndex < this.resolutions.length - 1;
+    const overLatency = metrics.latency > this.latencyTarget;
+    const overBudget = metrics.load > this.cpuBudget;
+
+    if (overLatency || overBudget) {
+      this.headroomWindows = 0;
+      // Fewer frames don't make each one faster - only a smaller frame helps latency
+      if (overLatency && canLowerResolution) {
+        return lowerResolution("latency");
+      }
+      if (!overBudget) return null;
+
+      if (current.targetFps > this.minFps) {
+        const fps = Math.max(this.minFps, Math.min(current.targetFps - 1, Math.floor(current.targetFps * this.cpuBudget / metrics.load)));
+        return decide("targetFps", current.targetFps, fps, "cpuBudget");
+      }
+      if (current.frameSkip < this.maxFrameSkip) {
+        return decide("frameSkip", current.frameSkip, current.frameSkip + 1, "cpuBudget");
+      }
+      return canLowerResolution ? lowerResolution("cpuBudget") : null;
+    }
+
+    if (metrics.load > this.cpuBudget * this.headroom || metrics.latency > this.latencyTarget * this.headroom) {
+      this.headroomWindows = 0;
+      return null;
+    }
+    if (++this.headroomWindows < 2) return null;
+    this.headroomWindows = 0;
+
+    if (this.resolutionIndex > 0) {
+      const from = this.resolutions[this.resolutionIndex];
+      this.resolutionIndex--;
+      return decide("resolution", from, this.resolutions[this.resolutionIndex], "headroom");
+    }
+    if (current.frameSkip > 1) {
+      return decide("frameSkip", current.frameSkip, current.frameSkip - 1, "headroom");
+    }
+    if (current.targetFps < this.maxFps) {
+      const fps = Math.min(this.maxFps, current.targetFps + Math.max(1, Math.round(current.targetFps * 0.2)));
+      return decide("targetFps", current.targetFps, fps, "headroom");
+    }
+    return null;
+  }
+}
+
+// Assigns stable IDs to faces across frames.
+// Each frame's faces are matched to existing tracks by bounding box overlap (IoU),
+// falling back to center distance for fast movement; unmatched faces start new tracks.
+class FaceTracker {
+  constructor(options = {}) {
+    this.matchThreshold = options.matchThreshold !== undefined ? options.matchThreshold : 0.3;
+    this.lostTimeout = options.lostTimeout !== undefined ? options.lostTimeout : 3000;
+    this.reset();
+  }
+
+  reset() {
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  // Change matching settings; existing tracks keep their IDs
+  setOptions(options = {}) {
+    if (options.matchThreshold !== undefined) this.matchThreshold = options.matchThreshold;
+    if (options.lostTimeout !== undefined) this.lostTimeout = options.lostTimeout;
+  }
+
+  // Intersection over union of two { xCenter, yCenter, width, height } boxes
+  static iou(a, b) {
+    const overlapX = Math.min(a.xCenter + a.width / 2, b.xCenter + b.width / 2) -
+      Math.max(a.xCenter - a.width / 2, b.xCenter - b.width / 2);
+    const overlapY = Math.min(a.yCenter + a.height / 2, b.yCenter + b.height / 2) -
+      Math.max(a.yCenter - a.height / 2, b.yCenter - b.height / 2);
+    if (overlapX <= 0 || overlapY <= 0) return 0;
+
+    const intersection = overlapX * overlapY;
+    return intersection / (a.width * a.height + b.width * b.height - intersection);
+  }
+
+  // Match this frame's landmark sets to tracks.
+  // Returns { visible, added, removed }; visible tracks carry this frame's landmarks.
+  update(multiFaceLandmarks, now = Date.now()) {
+    const boxes = multiFaceLandmarks.map((landmarks) => GazerBackend.detectionFromLandmarks(landmarks).boundingBox);
+
+    // Score every face/track pair, best overlap first
+    const pairs = [];
+    boxes.forEach((box, faceIndex) => {
+      this.tracks.forEach((track, trackIndex) => {
+        const overlap = FaceTracker.iou(track.boundingBox, box);
+        const distance = Math.hypot(track.boundingBox.xCenter - box.xCenter, track.boundingBox.yCenter - box.yCenter);
+        if (overlap >= this.matchThreshold || distance < track.boundingBox.width / 2) {
+          pairs.push({ faceIndex, trackIndex, overlap, distance });
+        }
+      });
+    });
+    pairs.sort((a, b) => b.overlap - a.overlap || a.distance - b.distance);
+
+    const matchedFaces = new Set();
+    const matchedTracks = new Set();
+    pairs.forEach(({ faceIndex, trackIndex }) => {
+      if (matchedFaces.has(faceIndex) || matchedTracks.has(trackIndex)) return;
+      matchedFaces.add(faceIndex);
+      matchedTracks.add(trackIndex);
+
+      const track = this.tracks[trackIndex];
+      track.boundingBox = boxes[faceIndex];
+      track.landmarks = multiFaceLandmarks[faceIndex];
+      track.lastSeen = now;
+      track.visible = true;
+    });
+
+    // Tracks not seen this frame are hidden, then dropped after lostTimeout
+    const removed = [];
+    this.tracks = this.tracks.filter((track, trackIndex) => {
+      if (matchedTracks.has(trackIndex)) return true;
+      track.visible = false;
+      track.landmarks = null;
+      if (now - track.lastSeen > this.lostTimeout) {
+        removed.push(track);
+        return false;
+      }
+      return true;
+    });
+
+    const added = [];
+    boxes.forEach((box, faceIndex) => {
+      if (matchedFaces.has(faceIndex)) return;
+      const track = {
+        id: this.nextId++,
+        boundingBox: box,
+        landmarks: multiFaceLandmarks[faceIndex],
+        firstSeen: now,
+        lastSeen: now,
+        visible: true,
+      };
+      this.tracks.push(track);
+      added.push(track);
+    });
+
+    return {
+      visible: this.tracks.filter((track) => track.visible),
+      added,
+      removed,
+    };
+  }
+
+  // Track whose box best overlaps a detection box (used to label detector output)
+  findTrack(boundingBox) {
+    let best = null;
+    let bestOverlap = 0;
+    this.tracks.forEach((track) => {
+      const overlap = FaceTracker.iou(track.boundingBox, boundingBox);
+      if (overlap > bestOverlap) {
+        best = track;
+        bestOverlap = overlap;
+      }
+    });
+    return bestOverlap >= this.matchThreshold ? best : null;
+  }
+}
+
+// Captures the per-frame detector output of a session in a compact, JSON-serializable form.
+// Landmarks are stored as flat [x, y, z, x, y, z, ...] arrays rounded to `precision` decimals,
+// detections as [xCenter, yCenter, width, height, score].
+class SessionRecorder {
+  constructor(options = {}) {
+    this.precision = options.precision !== undefined ? options.precision : 5;
+    this.maxFrames = options.maxFrames || 0;
+    this.metadata = options.metadata || {};
+    this.startTime = null;
+    this.frames = [];
+    this.frameWidth = options.frameWidth || null;
+    this.frameHeight = options.frameHeight || null;
+  }
+
+  round(value) {
+    const factor = 10 ** this.precision;
+    return Math.round(value * factor) / factor;
+  }
+
+  // Add one frame of backend results; returns false once maxFrames is reached
+  addFrame(timestamp, results) {
+    if (this.maxFrames && this.frames.length >= this.maxFrames) {
+      return false;
+    }
+    if (this.startTime === null) {
+      this.startTime = timestamp;
+    }
+
+    const detections = (results.detections || []).map((detection) => {
+      const box = detection.boundingBox || detection.bbox || {};
+      let score = null;
+      if (Array.isArray(detection.score)) {
+        score = detection.score.length > 0 ? detection.score[0] : null;
+      } else if (detection.score !== undefined) {
+        score = detection.score;
+      } else if (detection.confidence !== undefined) {
+        score = detection.confidence;
+      }
+      return [box.xCenter, box.yCenter, box.width, box.height, score].map((value) =>
+        value === null || value === undefined ? null : this.round(value)
+      );
+    });
+
+    const landmarks = (results.multiFaceLandmarks || []).map((face) => {
+      const flat = [];
+      face.forEach((point) => {
+        flat.push(this.round(point.x), this.round(point.y), this.round(point.z || 0));
+      });
+      return flat;
+    });
+
+    this.frames.push({ t: timestamp - this.startTime, d: detections, m: landmarks });
+    return true;
+  }
+
+  toJSON() {
+    return {
+      format: "gazer-recording",
+      version: 1,
+      startTime: this.startTime,
+      frameWidth: this.frameWidth,
+      frameHeight: this.frameHeight,
+      metadata: this.metadata,
+      frames: this.frames,
+    };
+  }
+
+  // Expand a recorded frame back into backend results
+  static decodeFrame(frame) {
+    return {
+      detections: frame.d.map(([xCenter, yCenter, width, height, score]) => {
+        const detection = { boundingBox: { xCenter, yCenter, width, height } };
+        if (score !== null) {
+          detection.score = [score];
+        }
+        return detection;
+      }),
+      multiFaceLandmarks: frame.m.map((flat) => {
+        const points = [];
+        for (let i = 0; i < flat.length; i += 3) {
+          points.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2] });
+        }
+        return points;
+      }),
+    };
+  }
+}
+
+// Splits a stream of gaze samples into fixations and saccades.
+// Samples are { t, yaw, pitch } in ms and degrees of gaze angle, optionally with x/y (and screenX/screenY)
+// positions that are averaged into fixation centroids. "ivt" labels each sample by its angular velocity;
+// "idt" grows a window of samples for as long as their dispersion stays below the threshold.
+class EyeMovementClassifier {
+  constructor(options = {}) {
+    this.algorithm = options.algorithm === "idt" ? "idt" : "ivt";
+    this.velocityThreshold = options.velocityThreshold !== undefined ? options.velocityThreshold : 40;
+    this.dispersionThreshold = options.dispersionThreshold !== undefined ? options.dispersionThreshold : 2;
+    this.minFixationDuration = options.minFixationDuration !== undefined ? options.minFixationDuration : 100;
+    this.maxSampleGap = options.maxSampleGap !== undefined ? options.maxSampleGap : 500;
+    this.reset();
+  }
+
+  reset() {
+    this.window = []; // Samples of the current fixation (candidate until confirmed)
+    this.confirmed = false;
+    this.lastSample = null;
+    this.lastFixationEnd = null; // Where the next saccade starts
+    this.peakVelocity = 0; // Fastest movement since lastFixationEnd
+  }
+
+  static distance(a, b) {
+    return Math.hypot(b.yaw - a.yaw, b.pitch - a.pitch);
+  }
+
+  // Yaw range plus pitch range, in degrees
+  static dispersion(samples) {
+    const yaws = samples.map((sample) => sample.yaw);
+    const pitches = samples.map((sample) => sample.pitch);
+    return (Math.max(...yaws) - Math.min(...yaws)) + (Math.max(...pitches) - Math.min(...pitches));
+  }
+
+  // Add one sample; returns the fixations and saccades it completed
+  update(sample) {
+    const events = [];
+
+    // Nothing can span a tracking gap (blink, lost face, dropped frames)
+    if (this.lastSample && sample.t - this.lastSample.t > this.maxSampleGap) {
+      events.push(...this.flush());
+    }
+
+    let velocity = 0;
+    if (this.lastSample && sample.t > this.lastSample.t) {
+      velocity = EyeMovementClassifier.distance(this.lastSample, sample) / ((sample.t - this.lastSample.t) / 1000);
+    }
+    this.lastSample = sample;
+
+    if (this.algorithm === "idt") {
+      this.updateDispersion(sample, velocity, events);
+    } else {
+      this.updateVelocity(sample, velocity, events);
+    }
+
+    return events;
+  }
+
+  // I-VT: slow samples extend the fixation, a fast one ends it
+  updateVelocity(sample, velocity, events) {
+    if (velocity >= this.velocityThreshold) {
+      this.closeWindow(events);
+      this.peakVelocity = Math.max(this.peakVelocity, velocity);
+      return;
+    }
+
+    if (!this.confirmed) {
+      this.peakVelocity = Math.max(this.peakVelocity, velocity);
+    }
+    this.window.push(sample);
+    this.confirmWindow(events);
+  }
+
+  // I-DT: a fixation lasts while the window's dispersion stays within the threshold
+  updateDispersion(sample, velocity, events) {
+    if (this.confirmed) {
+      if (EyeMovementClassifier.dispersion([...this.window, sample]) <= this.dispersionThreshold) {
+        this.window.push(sample);
+        return;
+      }
+      this.closeWindow(events);
+    }
+
+    this.peakVelocity = Math.max(this.peakVelocity, velocity);
+    this.window.push(sample);
+
+    // Drop leading samples that belong to the preceding movement
+    while (this.window.length > 1 && EyeMovementClassifier.dispersion(this.window) > this.dispersionThreshold) {
+      this.window.shift();
+    }
+    this.confirmWindow(events);
+  }
+
+  // A window that has lasted minFixationDuration becomes a fixation, which completes the saccade before it
+  confirmWindow(events) {
+    if (this.confirmed || this.window.length === 0) return;
+    if (this.window[this.window.length - 1].t - this.window[0].t < this.minFixationDuration) return;
+
+    this.confirmed = true;
+    if (this.lastFixationEnd) {
+      events.push(this.buildSaccade(this.lastFixationEnd, this.window[0]));
+    }
+  }
+
+  closeWindow(events) {
+    if (this.confirmed) {
+      events.push(this.buildFixation(this.window));
+      this.lastFixationEnd = this.window[this.window.length - 1];
+      this.peakVelocity = 0;
+    }
+    this.window = [];
+    this.confirmed = false;
+  }
+
+  // End the current fixation (e.g. when tracking stops) and forget the sample history
+  flush() {
+    const events = [];
+    this.closeWindow(events);
+    this.reset();
+    return events;
+  }
+
+  buildFixation(samples) {
+    const mean = (key) => {
+      const values = samples.map((sample) => sample[key]).filter((value) => typeof value === "number");
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const fixation = {
+      type: "fixation",
+      start: first.t,
+      end: last.t,
+      duration: last.t - first.t,
+      x: mean("x"),
+      y: mean("y"),
+      yaw: mean("yaw"),
+      pitch: mean("pitch"),
+      dispersion: EyeMovementClassifier.dispersion(samples),
+      samples: samples.length,
+    };
+
+    const screenX = mean("screenX");
+    const screenY = mean("screenY");
+    if (screenX !== null && screenY !== null) {
+      fixation.screenX = Math.round(screenX);
+      fixation.screenY = Math.round(screenY);
+      fixation.calibrated = true;
+    }
+
+    return fixation;
+  }
+
+  buildSaccade(from, to) {
+    const duration = to.t - from.t;
+    const amplitude = EyeMovementClassifier.distance(from, to);
+    const meanVelocity = duration > 0 ? amplitude / (duration / 1000) : 0;
+    const position = (sample) => {
+      const point = { x: sample.x, y: sample.y, yaw: sample.yaw, pitch: sample.pitch };
+      if (sample.screenX !== undefined && sample.screenY !== undefined) {
+        point.screenX = sample.screenX;
+        point.screenY = sample.screenY;
+      }
+      return point;
+    };
+
+    return {
+      type: "saccade",
+      start: from.t,
+      end: to.t,
+      duration,
+      amplitude,
+      meanVelocity,
+      peakVelocity: Math.max(this.peakVelocity, meanVelocity),
+      from: position(from),
+      to: position(to),
+    };
+  }
+}
+
+// One Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff rises with speed, so slow
+// movement is smoothed heavily while fast movement keeps little lag. minCutoff and dCutoff are in Hz;
+// beta scales the cutoff with the signal's speed (units per second).
+class OneEuroFilter {
+  constructor(options = {}) {
+    this.minCutoff = options.minCutoff !== undefined ? options.minCutoff : 1;
+    this.beta = options.beta !== undefined ? options.beta : 0.05;
+    this.dCutoff = options.dCutoff !== undefined ? options.dCutoff : 1;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.lastTime = null;
+  }
+
+  static alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  // t in ms
+  filter(value, t) {
+    if (this.value === null) {
+      this.value = value;
+      this.lastTime = t;
+      return value;
+    }
+
+    const dt = t > this.lastTime ? (t - this.lastTime) / 1000 : 1 / 30;
+    this.lastTime = t;
+
+    const derivative = (value - this.value) / dt;
+    this.derivative += OneEuroFilter.alpha(this.dCutoff, dt) * (derivative - this.derivative);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value += OneEuroFilter.alpha(cutoff, dt) * (value - this.value);
+    return this.value;
+  }
+}
+
+// Constant-velocity Kalman filter for one signal. Only the ratio of processNoise (how much the
+// velocity may change) to measurementNoise (landmark jitter) matters: raise it for less lag.
+class KalmanFilter {
+  constructor(options = {}) {
+    this.processNoise = options.processNoise !== undefined ? options.processNoise : 1;
+    this.measurementNoise = options.measurementNoise !== undefined ? options.measurementNoise : 0.01;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.velocity = 0;
+    this.covariance = null; // [[p00, p01], [p10, p11]]
+    this.lastTime = null;
+  }
+
+  // t in ms
+  filter(value, t) {
+    const r = this.measurementNoise;
+    if (this.value === null) {
+      this.value = value;
+      this.velocity = 0;
+      this.covariance = [[r, 0], [0, r]];
+      this.lastTime = t;
+      return value;
+    }
+
+    const dt = t > this.lastTime ? (t - this.lastTime) / 1000 : 1 / 30;
+    this.lastTime = t;
+
+    // Predict: x += v·dt, with white-noise acceleration
+    const q = this.processNoise;
+    const [[p00, p01], [p10, p11]] = this.covariance;
+    const predicted00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * Math.pow(dt, 4) / 4;
+    const predicted01 = p01 + dt * p11 + q * Math.pow(dt, 3) / 2;
+    const predicted10 = p10 + dt * p11 + q * Math.pow(dt, 3) / 2;
+    const predicted11 = p11 + q * dt * dt;
+    this.value += this.velocity * dt;
+
+    // Update with the measured position
+    const gainValue = predicted00 / (predicted00 + r);
+    const gainVelocity = predicted10 / (predicted00 + r);
+    const residual = value - this.value;
+    this.value += gainValue * residual;
+    this.velocity += gainVelocity * residual;
+    this.covariance = [
+      [(1 - gainValue) * predicted00, (1 - gainValue) * predicted01],
+      [predicted10 - gainVelocity * predicted00, predicted11 - gainVelocity * predicted01],
+    ];
+    return this.value;
+  }
+}
+
+// Exponential moving average: alpha is the weight of the newest sample (1 = no smoothing)
+class ExponentialFilter {
+  constructor(options = {}) {
+    this.alpha = options.alpha !== undefined ? options.alpha : 0.5;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+  }
+
+  filter(value) {
+    this.value = this.value === null ? value : this.value + this.alpha * (value - this.value);
+    return this.value;
+  }
+}
+
+// Continuous filters selectable with gazeFilter; add an entry to register a custom type
+// (a class with filter(value, timestampMs) and reset())
+const GAZER_FILTERS = {
+  oneEuro: OneEuroFilter,
+  kalman: KalmanFilter,
+  ema: ExponentialFilter,
+};
+
+const GAZER_FILTER_GROUPS = ["gaze", "eyeCenters", "headPose"];
+
+// One filter per signal (yaw, left eye x, ...) for one face. Signals are grouped: "gaze" (position
+// offsets and iris ratios), "eyeCenters" and "headPose". `params` holds options per filter type.
+class GazeSignalFilters {
+  constructor(spec = "none", params = {}) {
+    this.groups = GazeSignalFilters.normalize(spec);
+    this.params = params || {};
+    this.reset();
+  }
+
+  // A type name applies to every group; { gaze, eyeCenters, headPose } picks one per group, each a
+  // type name or { type, ...options } overriding the per-type params. Throws on an unknown type.
+  static normalize(spec) {
+    const groups = {};
+    GAZER_FILTER_GROUPS.forEach((group) => {
+      const entry = spec && typeof spec === "object" ? spec[group] : spec;
+      const options = entry && typeof entry === "object" ? entry : { type: entry || "none" };
+      if (options.type !== "none" && !GAZER_FILTERS[options.type]) {
+        throw new TypeError(`Unknown gaze filter "${options.type}". Available: none, ${Object.keys(GAZER_FILTERS).join(", ")}`);
+      }
+      groups[group] = options;
+    });
+    return groups;
+  }
+
+  reset() {
+    this.filters = new Map();
+    this.lastDirection = null; // Unsmoothed direction of the previous frame, for hysteresis
+  }
+
+  // Filter one value; null passes through and leaves the filter untouched
+  apply(group, key, value, timestamp) {
+    const { type, ...options } = this.groups[group];
+    if (value === null || value === undefined || type === "none") return value;
+
+    const name = `${group}.${key}`;
+    let filter = this.filters.get(name);
+    if (!filter) {
+      filter = new GAZER_FILTERS[type]({ ...this.params[type], ...options });
+      this.filters.set(name, filter);
+    }
+    return filter.filter(value, timestamp);
+  }
+
+  applyPoint(group, key, point, timestamp) {
+    return {
+      x: this.apply(group, `${key}.x`, point.x, timestamp),
+      y: this.apply(group, `${key}.y`, point.y, timestamp),
+    };
+  }
+}
+
+// Declarative proctoring rules, evaluated once per frame against a metrics snapshot
+// ({ timestamp, faceCount, gazeState, drowsinessLevel, ... }). A rule's `when` lists conditions that
+// must all hold: a value (equal), an array (any of) or { min, max } (inclusive range); a function
+// receives the metrics instead. An episode qualifies once the condition has held for `duration` ms.
+//   { id: "multiple-faces", when: { faceCount: { min: 2 } }, duration: 3000, severity: "high" }
+//   { id: "repeated-away", when: { gazeState: "away" }, count: 5, within: 60000 }
+// Duration rules keep their incident open until the condition stops holding. Frequency rules
+// (count/within) produce a finished incident when `count` episodes qualify within `within` ms.
+class IncidentRulesEngine {
+  constructor(rules = []) {
+    this.rules = rules.map((rule) => IncidentRulesEngine.normalizeRule(rule));
+    this.reset();
+  }
+
+  static normalizeRule(rule) {
+    if (!rule || rule.id === undefined || !rule.when || !["object", "function"].includes(typeof rule.when)) {
+      throw new TypeError(`Rule ${rule && rule.id !== undefined ? `"${rule.id}" ` : ""}needs an id and a when condition`);
+    }
+    if (rule.count !== undefined && !(rule.within > 0)) {
+      throw new TypeError(`Rule "${rule.id}" needs within (ms) together with count`);
+    }
+
+    return {
+      severity: "medium",
+      description: "",
+      duration: 0, // ms the condition must hold
+      count: null,
+      within: null, // ms
+      cooldown: 0, // ms after an incident before the rule can fire again
+      ...rule,
+    };
+  }
+
+  reset() {
+    // since: when the condition started holding; qualified: whether this episode already counted
+    this.states = new Map(this.rules.map((rule) => [rule.id, {
+      since: null,
+      qualified: false,
+      incident: null,
+      occurrences: [],
+      lastIncidentTime: null,
+    }]));
+  }
+
+  static matches(when, metrics) {
+    if (typeof when === "function") {
+      return Boolean(when(metrics));
+    }
+
+    return Object.keys(when).every((key) => {
+      const expected = when[key];
+      const value = metrics[key];
+      if (Array.isArray(expected)) {
+        return expected.includes(value);
+      }
+      if (expected !== null && typeof expected === "object") {
+        return typeof value === "number" &&
+          (expected.min === undefined || value >= expected.min) &&
+          (expected.max === undefined || value <= expected.max);
+      }
+      return value === expected;
+    });
+  }
+
+  // Evaluate all rules; returns [{ type: "start" | "end", incident }]
+  update(metrics) {
+    const t = metrics.timestamp;
+    const events = [];
+
+    this.rules.forEach((rule) => {
+      const state = this.states.get(rule.id);
+
+      if (!IncidentRulesEngine.matches(rule.when, metrics)) {
+        state.since = null;
+        state.qualified = false;
+        if (state.incident) {
+          events.push({ type: "end", incident: this.closeIncident(state, t) });
+        }
+        return;
+      }
+
+      if (state.since === null) {
+        state.since = t;
+      }
+      if (state.qualified || t - state.since < rule.duration) {
+        return;
+      }
+      state.qualified = true;
+
+      if (state.lastIncidentTime !== null && t - state.lastIncidentTime < rule.cooldown) {
+        return;
+      }
+
+      if (rule.count === null) {
+        state.incident = this.createIncident(rule, state.since, metrics);
+        state.lastIncidentTime = t;
+        events.push({ type: "start", incident: state.incident });
+        return;
+      }
+
+      state.occurrences = state.occurrences.filter((start) => t - start <= rule.within);
+      state.occurrences.push(state.since);
+      if (state.occurrences.length >= rule.count) {
+        const incident = this.createIncident(rule, state.occurrences[0], metrics);
+        incident.occurrences = [...state.occurrences];
+        incident.end = t;
+        incident.durationMs = t - incident.start;
+        incident.ongoing = false;
+        state.occurrences = [];
+        state.lastIncidentTime = t;
+        events.push({ type: "start", incident });
+      }
+    });
+
+    return events;
+  }
+
+  createIncident(rule, start, metrics) {
+    return {
+      id: createUniqueId(),
+      ruleId: rule.id,
+      severity: rule.severity,
+      description: rule.description,
+      start,
+      end: null,
+      durationMs: metrics.timestamp - start,
+      ongoing: true,
+      metrics: { ...metrics },
+    };
+  }
+
+  closeIncident(state, t) {
+    const incident = state.incident;
+    incident.end = t;
+    incident.durationMs = t - incident.start;
+    incident.ongoing = false;
+    state.incident = null;
+    state.lastIncidentTime = t;
+    return incident;
+  }
+
+  // Incidents still open, with their duration so far
+  getActiveIncidents(t) {
+    const active = [];
+    this.states.forEach((state) => {
+      if (state.incident) {
+        state.incident.durationMs = t - state.incident.start;
+        active.push(state.incident);
+      }
+    });
+    return active;
+  }
+
+  // Close open incidents, e.g. when tracking stops
+  flush(t) {
+    const events = [];
+    this.states.forEach((state) => {
+      if (state.incident) {
+        events.push({ type: "end", incident: this.closeIncident(state, t) });
+      }
+      state.since = null;
+      state.qualified = false;
+    });
+    return events;
+  }
+}
+
+// Starting point for exam proctoring - pass as `rules`, or copy and adjust
+const GAZER_PROCTORING_RULES = [
+  { id: "no-face", when: { faceCount: 0 }, duration: 5000, severity: "high", description: "Nobody in front of the camera" },
+  { id: "multiple-faces", when: { faceCount: { min: 2 } }, duration: 3000, severity: "high", description: "More than one person visible" },
+  { id: "looking-away", when: { gazeState: "away" }, duration: 10000, severity: "medium", description: "Looking away from the screen" },
+  { id: "repeatedly-looking-away", when: { gazeState: "away" }, duration: 1000, count: 5, within: 60000, severity: "low", description: "Frequently looking away from the screen" },
+];
+
+// Accumulates weighted gaze points (normalized 0-1 coordinates) into a grid.
+// Gaussian blur is applied on export, so the raw grid stays exact and the blur can be changed afterwards.
+class GazeHeatmap {
+  constructor(options = {}) {
+    this.columns = options.columns || 64;
+    this.rows = options.rows || 36;
+    this.blurRadius = options.blurRadius !== undefined ? options.blurRadius : 2; // Gaussian sigma, in cells
+    this.reset();
+  }
+
+  reset() {
+    this.grid = new Float64Array(this.columns * this.rows);
+    this.totalWeight = 0;
+    this.pointCount = 0;
+  }
+
+  // Add a point; weight is typically confidence x duration (ms)
+  addPoint(x, y, weight = 1) {
+    if (!(weight > 0) || x < 0 || x > 1 || y < 0 || y > 1) return;
+
+    const column = Math.min(this.columns - 1, Math.floor(x * this.columns));
+    const row = Math.min(this.rows - 1, Math.floor(y * this.rows));
+    this.grid[row * this.columns + column] += weight;
+    this.totalWeight += weight;
+    this.pointCount++;
+  }
+
+  // Add recorded retina locations, each weighted by its confidence and the time until the next one
+  addLocations(locations, maxDuration = 5000) {
+    locations.forEach((location, index) => {
+      const next = locations[index + 1];
+      const duration = next ? Math.min(next.timestamp - location.timestamp, maxDuration) : 0;
+      this.addPoint(location.x, location.y, (location.confidence || 1) * Math.max(duration, 1));
+    });
+  }
+
+  // Separable Gaussian blur of the grid
+  blurGrid(sigma) {
+    if (!(sigma > 0)) return Float64Array.from(this.grid);
+
+    const radius = Math.ceil(sigma * 3);
+    const kernel = [];
+    for (let i = -radius; i <= radius; i++) {
+      kernel.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+    }
+    const kernelSum = kernel.reduce((sum, value) => sum + value, 0);
+    const weights = kernel.map((value) => value / kernelSum);
+
+    const pass = (source, horizontal) => {
+      const target = new Float64Array(source.length);
+      for (let row = 0; row < this.rows; row++) {
+        for (let column = 0; column < this.columns; column++) {
+          let sum = 0;
+          for (let k = -radius; k <= radius; k++) {
+            const c = horizontal ? column + k : column;
+            const r = horizontal ? row : row + k;
+            if (c < 0 || c >= this.columns || r < 0 || r >= this.rows) continue;
+            sum += source[r * this.columns + c] * weights[k + radius];
+          }
+          target[row * this.columns + column] = sum;
+        }
+      }
+      return target;
+    };
+
+    return pass(pass(this.grid, true), false);
+  }
+
+  // Grid as rows of values. normalize scales the maximum to 1; otherwise values are in weight units (confidence x ms).
+  getMatrix(options = {}) {
+    const { blur = this.blurRadius, normalize = true } = options;
+    const grid = this.blurGrid(blur);
+
+    let max = 0;
+    grid.forEach((value) => { max = Math.max(max, value); });
+    const scale = normalize && max > 0 ? 1 / max : 1;
+
+    const matrix = [];
+    for (let row = 0; row < this.rows; row++) {
+      const values = [];
+      for (let column = 0; column < this.columns; column++) {
+        values.push(grid[row * this.columns + column] * scale);
+      }
+      matrix.push(values);
+    }
+    return matrix;
+  }
+
+  // Blue -> cyan -> green -> yellow -> red for a normalized value
+  static colorFor(value) {
+    const stops = [[0, 0, 255], [0, 255, 255], [0, 255, 0], [255, 255, 0], [255, 0, 0]];
+    const position = Math.max(0, Math.min(1, value)) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    const t = position - index;
+    return stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * t));
+  }
+
+  // Draw onto a canvas or OffscreenCanvas, stretched to its size
+  render(canvas, options = {}) {
+    const { opacity = 0.6, blur = this.blurRadius, threshold = 0.02 } = options;
+    const ctx = canvas.getContext("2d");
+    const matrix = this.getMatrix({ blur });
+    const cellWidth = canvas.width / this.columns;
+    const cellHeight = canvas.height / this.rows;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    matrix.forEach((values, row) => {
+      values.forEach((value, column) => {
+        if (value < threshold) return;
+        const [r, g, b] = GazeHeatmap.colorFor(value);
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${Math.min(1, value * 1.5) * opacity})`;
+        ctx.fillRect(
+          Math.floor(column * cellWidth),
+          Math.floor(row * cellHeight),
+          Math.ceil(cellWidth),
+          Math.ceil(cellHeight)
+        );
+      });
+    });
+    return canvas;
+  }
+
+  // PNG data URL of the rendered heatmap (needs a DOM)
+  toDataURL(options = {}) {
+    const { width = this.columns * 20, height = this.rows * 20, ...renderOptions } = options;
+    if (typeof document === "undefined") {
+      throw new Error("toDataURL() needs a DOM - use render() with an OffscreenCanvas or getMatrix() instead");
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    this.render(canvas, renderOptions);
+    return canvas.toDataURL("image/png");
+  }
+
+  toJSON() {
+    return {
+      columns: this.columns,
+      rows: this.rows,
+      blurRadius: this.blurRadius,
+      totalWeight: this.totalWeight,
+      pointCount: this.pointCount,
+      matrix: this.getMatrix({ normalize: false }),
+    };
+  }
+}
+
+// Regression model mapping gaze features to normalized viewport coordinates (0-1).
+// Fitted by ridge regression on a quadratic expansion of eye/head angles plus face position.
+class GazeCalibrationModel {
+  constructor({ source, means, scales, weightsX, weightsY }) {
+    this.source = source;
+    this.means = means;
+    this.scales = scales;
+    this.weightsX = weightsX;
+    this.weightsY = weightsY;
+  }
+
+  // Raw features for a gaze sample; "eye" uses iris-corrected angles, "head" the head pose only
+  static extractFeatures(gazeData, source) {
+    if (!gazeData || !gazeData.faceCenter) return null;
+
+    const horizontal = source === "eye" ? gazeData.eyeYaw : gazeData.yaw;
+    const vertical = source === "eye" ? gazeData.eyePitch : gazeData.pitch;
+    if (horizontal === null || horizontal === undefined || vertical === null || vertical === undefined) {
+      return null;
+    }
+
+    return [horizontal, vertical, gazeData.faceCenter.x, gazeData.faceCenter.y];
+  }
+
+  // Quadratic terms in the angles, linear in face position, with a bias term
+  static expand(standardized) {
+    const [h, v, fx, fy] = standardized;
+    return [1, h, v, h * v, h * h, v * v, fx, fy];
+  }
+
+  // samples: [{ features, target: { x, y } }] with targets in normalized viewport coordinates
+  static fit(samples, source, regularization = 0.01) {
+    const featureCount = samples[0].features.length;
+    const means = new Array(featureCount).fill(0);
+    const scales = new Array(featureCount).fill(0);
+
+    samples.forEach(({ features }) => features.forEach((value, i) => { means[i] += value / samples.length; }));
+    samples.forEach(({ features }) => features.forEach((value, i) => { scales[i] += (value - means[i]) ** 2 / samples.length; }));
+    for (let i = 0; i < featureCount; i++) {
+      scales[i] = Math.sqrt(scales[i]) || 1;
+    }
+
+    const rows = samples.map(({ features }) =>
+      GazeCalibrationModel.expand(features.map((value, i) => (value - means[i]) / scales[i]))
+    );
+    const size = rows[0].length;
+
+    // Normal equations (XᵀX + λI) w = Xᵀy, bias term left unregularized
+    const normal = [];
+    for (let i = 0; i < size; i++) {
+      normal.push(new Array(size).fill(0));
+      for (let j = 0; j < size; j++) {
+        rows.forEach((row) => { normal[i][j] += row[i] * row[j]; });
+      }
+      if (i > 0) normal[i][i] += regularization * rows.length;
+    }
+    const rhsX = new Array(size).fill(0);
+    const rhsY = new Array(size).fill(0);
+    rows.forEach((row, r) => {
+      for (let i = 0; i < size; i++) {
+        rhsX[i] += row[i] * samples[r].target.x;
+        rhsY[i] += row[i] * samples[r].target.y;
+      }
+    });
+
+    return new GazeCalibrationModel({
+      source,
+      means,
+      scales,
+      weightsX: GazeCalibrationModel.solve(normal, rhsX),
+      weightsY: GazeCalibrationModel.solve(normal, rhsY),
+    });
+  }
+
+  // Solve A x = b by Gaussian elimination with partial pivoting
+  static solve(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      if (Math.abs(a[col][col]) < 1e-12) continue;
+
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / a[col][col];
+        for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+      }
+    }
+
+    const result = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      if (Math.abs(a[row][row]) < 1e-12) continue;
+      let sum = a[row][n];
+      for (let k = row + 1; k < n; k++) sum -= a[row][k] * result[k];
+      result[row] = sum / a[row][row];
+    }
+    return result;
+  }
+
+  // Predict a normalized viewport point, or null if the sample lacks the needed features
+  predict(gazeData) {
+    const features = GazeCalibrationModel.extractFeatures(gazeData, this.source);
+    return features ? this.predictFeatures(features) : null;
+  }
+
+  predictFeatures(features) {
+    const terms = GazeCalibrationModel.expand(features.map((value, i) => (value - this.means[i]) / this.scales[i]));
+    const apply = (weights) => terms.reduce((sum, term, i) => sum + term * weights[i], 0);
+
+    return { x: apply(this.weightsX), y: apply(this.weightsY) };
+  }
+
+  toJSON() {
+    return {
+      source: this.source,
+      means: [...this.means],
+      scales: [...this.scales],
+      weightsX: [...this.weightsX],
+      weightsY: [...this.weightsY],
+    };
+  }
+}
+
+// Delivers tracking data to an HTTP endpoint in batches. Every record is queued first (in IndexedDB
+// when available, so it survives offline periods and reloads) and only dropped once the server
+// accepts it. Failed requests are retried with exponential backoff, and whatever is left when the
+// page goes away is handed to sendBeacon.
+class TrackingDataTransport {
+  constructor(options = {}) {
+    this.options = {
+      url: null,
+      headers: {},
+      auth: null, // async () => headers, called before every request
+      batchSize: 10, // records per request
+      retryDelay: 1000, // ms - first retry, doubled on every failure
+      maxRetryDelay: 60000, // ms
+      maxQueueSize: 500, // records - the oldest are dropped beyond this
+      storage: "indexeddb", // "indexeddb" or "memory"
+      databaseName: "gazer-tracking-data",
+      fetch: null, // fetch implementation, defaults to the global one
+      onSent: null, // (records)
+      onError: null, // (GazerError) when records are dropped
+      onUnload: null, // called on page unload before the final beacon
+      log: () => {},
+      ...options,
+    };
+
+    // [{ key, record, sent }] - key is the IndexedDB key once persisted
+    this.queue = [];
+    this.db = null;
+    this.sending = false;
+    this.retryTimer = null;
+    this.attempt = 0;
+    this.closed = false;
+
+    this.onlineListener = () => {
+      this.options.log("Back online - flushing tracking data queue", "info");
+      this.retryNow();
+    };
+    this.pageHideListener = () => {
+      if (this.options.onUnload) {
+        this.options.onUnload();
+      }
+      this.sendBeacon();
+    };
+    if (typeof globalThis.addEventListener === "function") {
+      globalThis.addEventListener("online", this.onlineListener);
+      globalThis.addEventListener("pagehide", this.pageHideListener);
+    }
+
+    this.ready = this.open();
+  }
+
+  // Load records left over from earlier sessions, then start sending
+  async open() {
+    if (this.options.storage === "indexeddb" && typeof indexedDB !== "undefined") {
+      try {
+        this.db = await TrackingDataTransport.openDatabase(this.options.databaseName);
+        const stored = await TrackingDataTransport.request(
+          this.db.transaction("records", "readonly").objectStore("records").openCursor(), true);
+        if (stored.length > 0) {
+          this.options.log(`Restored ${stored.length} queued tracking data records`, "info");
+        }
+        this.queue = stored.concat(this.queue);
+      } catch (error) {
+        this.db = null;
+        this.options.log(`IndexedDB unavailable, queueing tracking data in memory: ${error && error.message}`, "warning");
+      }
+    }
+
+    this.flush();
+  }
+
+  static openDatabase(name) {
+    const open = indexedDB.open(name, 1);
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore("records", { autoIncrement: true });
+    };
+    return TrackingDataTransport.request(open);
+  }
+
+  // Promise for an IDBRequest; with collect, walks a cursor into [{ key, record }]
+  static request(request, collect = false) {
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!collect) {
+          resolve(cursor);
+        } else if (cursor) {
+          entries.push({ key: cursor.key, record: cursor.value, sent: false });
+          cursor.continue();
+        } else {
+          resolve(entries);
+        }
+      };
+    });
+  }
+
+  // Queue one tracking data object. A deliveryId is added so the server can drop duplicates
+  // (a beacon or a timed-out request may deliver a record that is also retried later).
+  enqueue(data) {
+    const entry = { key: null, record: { deliveryId: createUniqueId(), ...data }, sent: false };
+    this.queue.push(entry);
+    this.persist(entry);
+
+    const overflow = this.queue.length - this.options.maxQueueSize;
+    if (overflow > 0) {
+      const dropped = this.queue.slice(0, overflow);
+      this.remove(dropped);
+      this.reportDropped(`Tracking data queue is full - dropped ${overflow} oldest records`, { reason: "queueFull" }, dropped);
+    }
+
+    this.flush();
+  }
+
+  async persist(entry) {
+    await this.ready;
+    if (!this.db || entry.key !== null || entry.sent) return;
+
+    try {
+      entry.key = await TrackingDataTransport.request(
+        this.db.transaction("records", "readwrite").objectStore("records").add(entry.record));
+      // Delivered while the write was pending
+      if (entry.sent) {
+        this.deleteStored([entry]);
+      }
+    } catch (error) {
+      this.options.log(`Could not persist tracking data: ${error && error.message}`, "warning");
+    }
+  }
+
+  remove(entries) {
+    entries.forEach((entry) => {
+      entry.sent = true;
+    });
+    this.queue = this.queue.filter((entry) => !entry.sent);
+    this.deleteStored(entries);
+  }
+
+  deleteStored(entries) {
+    const keys = entries.filter((entry) => entry.key !== null).map((entry) => entry.key);
+    if (!this.db || keys.length === 0) return;
+
+    try {
+      const store = this.db.transaction("records", "readwrite").objectStore("records");
+      keys.forEach((key) => store.delete(key));
+    } catch (error) {
+      this.options.log(`Could not delete delivered tracking data: ${error && error.message}`, "warning");
+    }
+  }
+
+  reportDropped(message, details, entries) {
+    this.options.log(message, "error");
+    if (this.options.onError) {
+      this.options.onError(new GazerError(GAZER_ERROR_CODES.TRACKING_DATA_DROPPED, message, {
+        ...details,
+        records: entries.map((entry) => entry.record),
+      }));
+    }
+  }
+
+  isOnline() {
+    return typeof navigator === "undefined" || navigator.onLine !== false;
+  }
+
+  // Send queued records batch by batch until the queue is empty or a request fails
+  async flush() {
+    if (this.sending || this.closed || this.retryTimer !== null) return;
+
+    this.sending = true;
+    try {
+      while (this.queue.length > 0 && !this.closed) {
+        if (!this.isOnline()) {
+          this.options.log(`Offline - ${this.queue.length} tracking data records queued`, "info");
+          return;
+        }
+
+        const batch = this.queue.slice(0, this.options.batchSize);
+        const records = batch.map((entry) => entry.record);
+        let response;
+        try {
+          response = await this.post(records);
+        } catch (error) {
+          this.scheduleRetry(error.message);
+          return;
+        }
+
+        if (response.ok) {
+          this.remove(batch);
+          this.attempt = 0;
+          this.options.log(`Sent ${records.length} tracking data records`, "info");
+          if (this.options.onSent) {
+            this.options.onSent(records);
+          }
+        } else if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+          // Retrying won't change the answer
+          this.remove(batch);
+          this.reportDropped(`Tracking data rejected with HTTP ${response.status}`, { reason: "rejected", status: response.status }, batch);
+        } else {
+          this.scheduleRetry(`HTTP ${response.status}`);
+          return;
+        }
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  async post(records) {
+    const fetchImpl = this.options.fetch || (typeof fetch === "function" ? fetch : null);
+    if (!fetchImpl) {
+      throw new Error("fetch is not available");
+    }
+
+    const authHeaders = this.options.auth ? await this.options.auth() : {};
+    return fetchImpl(this.options.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...this.options.headers,
+        ...authHeaders,
+      },
+      body: JSON.stringify(records),
+    });
+  }
+
+  // Skip the pending backoff delay
+  retryNow() {
+    this.attempt = 0;
+    if (this.retryTimer !== null) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    return this.flush();
+  }
+
+  // Exponential backoff with jitter so many clients don't retry in lockstep
+  scheduleRetry(reason) {
+    const delay = Math.min(this.options.retryDelay * Math.pow(2, this.attempt), this.options.maxRetryDelay);
+    const jittered = Math.round(delay * (0.5 + Math.random() / 2));
+    this.attempt++;
+
+    this.options.log(`Posting tracking data failed (${reason}) - retry ${this.attempt} in ${jittered}ms`, "warning");
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, jittered);
+  }
+
+  // Hand the queue to sendBeacon, which keeps going after the page is gone. Beacons can't carry
+  // custom headers or report failures; records a full beacon queue refuses stay in IndexedDB
+  // for the next session.
+  sendBeacon() {
+    if (typeof navigator === "undefined" || typeof navigator.sendBeacon !== "function" || typeof Blob === "undefined") {
+      return false;
+    }
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.slice(0, this.options.batchSize);
+      const body = new Blob([JSON.stringify(batch.map((entry) => entry.record))], { type: "application/json" });
+      if (!navigator.sendBeacon(this.options.url, body)) {
+        this.options.log(`sendBeacon refused - ${this.queue.length} tracking data records left queued`, "warning");
+        break;
+      }
+      this.remove(batch);
+    }
+
+    return this.queue.length === 0;
+  }
+
+  getQueueSize() {
+    return this.queue.length;
+  }
+
+  close() {
+    this.closed = true;
+
+    if (this.retryTimer !== null) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    if (typeof globalThis.removeEventListener === "function") {
+      globalThis.removeEventListener("online", this.onlineListener);
+      globalThis.removeEventListener("pagehide", this.pageHideListener);
+    }
+
+    // Pending writes and deletes still complete
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Message protocol version for GazerStream (see "Live Streaming" in the README)
+const GAZER_STREAM_PROTOCOL = 1;
+
+// Pushes live events to a WebSocket as JSON text messages. Reconnects with backoff. While the
+// socket is down, or its send buffer is above maxBufferedAmount, event messages wait in a bounded
+// outbox and stats are coalesced to the latest snapshot.
+class GazerStream {
+  constructor(options = {}) {
+    this.options = {
+      url: null,
+      protocols: undefined,
+      WebSocket: null, // WebSocket implementation, defaults to the global one (pass require("ws") in Node < 22)
+      metadata: {}, // sent with every hello, e.g. { candidateId }
+      statsInterval: 1000, // ms between stats messages
+      maxBufferedAmount: 65536, // bytes queued in the socket before holding messages back
+      maxQueueSize: 1000, // messages held while disconnected or backpressured - the oldest are dropped beyond this
+      reconnectDelay: 1000, // ms - first reconnect attempt, doubled on every failure
+      maxReconnectDelay: 30000, // ms
+      onStateChange: null, // ("connecting" | "open" | "closed")
+      now: () => Date.now(), // clock for message timestamps
+      log: () => {},
+      ...options,
+    };
+
+    // Stays the same across reconnects so the receiver can join them up
+    this.sessionId = createUniqueId();
+    this.socket = null;
+    this.state = "closed";
+    this.seq = 0;
+    this.outbox = [];
+    this.pendingStats = null;
+    this.lastStatsTime = null;
+    this.dropped = 0;
+    this.connections = 0;
+    this.attempt = 0;
+    this.reconnectTimer = null;
+    this.drainTimer = null;
+    this.closed = false;
+
+    this.connect();
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    this.state = state;
+    if (this.options.onStateChange) {
+      this.options.onStateChange(state);
+    }
+  }
+
+  connect() {
+    const WebSocketImpl = this.options.WebSocket || (typeof WebSocket !== "undefined" ? WebSocket : null);
+    if (!WebSocketImpl) {
+      this.options.log("WebSocket is not available - pass streamWebSocket", "error");
+      this.setState("closed");
+      return;
+    }
+
+    this.setState("connecting");
+    let socket;
+    try {
+      socket = new WebSocketImpl(this.options.url, this.options.protocols);
+    } catch (error) {
+      this.scheduleReconnect(error.message);
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.attempt = 0;
+      this.setState("open");
+      this.options.log(`Streaming to ${this.options.url}`, "success");
+      this.write("hello", this.options.now(), {
+        sessionId: this.sessionId,
+        reconnect: this.connections > 0,
+        metadata: this.options.metadata,
+      });
+      this.connections++;
+      this.drain();
+    };
+
+    socket.onclose = (event) => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.setState("closed");
+      if (!this.closed) {
+        this.scheduleReconnect(`code ${event && event.code}`);
+      }
+    };
+
+    // A close event always follows
+    socket.onerror = () => {};
+  }
+
+  scheduleReconnect(reason) {
+    const delay = Math.min(this.options.reconnectDelay * Math.pow(2, this.attempt), this.options.maxReconnectDelay);
+    const jittered = Math.round(delay * (0.5 + Math.random() / 2));
+    this.attempt++;
+
+    this.options.log(`Stream disconnected (${reason}) - reconnecting in ${jittered}ms`, "warning");
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, jittered);
+  }
+
+  isOpen() {
+    return this.socket !== null && this.socket.readyState === 1;
+  }
+
+  isBackpressured() {
+    return this.socket.bufferedAmount > this.options.maxBufferedAmount;
+  }
+
+  // Queue an event message; t is the analysis clock time it happened at
+  send(type, data, t = this.options.now()) {
+    this.outbox.push({ type, t, data });
+    if (this.outbox.length > this.options.maxQueueSize) {
+      this.outbox.shift();
+      this.dropped++;
+    }
+    this.drain();
+  }
+
+  // Stats go out at most every statsInterval; an unsent snapshot is replaced by the newer one
+  sendStats(stats, t = this.options.now()) {
+    if (this.lastStatsTime !== null && t - this.lastStatsTime < this.options.statsInterval) {
+      return;
+    }
+    this.lastStatsTime = t;
+    this.pendingStats = { type: "stats", t, data: stats };
+    this.drain();
+  }
+
+  drain() {
+    if (!this.isOpen()) return;
+
+    if (this.dropped > 0 && !this.isBackpressured()) {
+      this.write("dropped", this.options.now(), { count: this.dropped });
+      this.dropped = 0;
+    }
+    while (this.outbox.length > 0 && !this.isBackpressured()) {
+      const message = this.outbox.shift();
+      this.write(message.type, message.t, message.data);
+    }
+    if (this.pendingStats && this.outbox.length === 0 && !this.isBackpressured()) {
+      this.write("stats", this.pendingStats.t, this.pendingStats.data);
+      this.pendingStats = null;
+    }
+
+    // WebSocket has no drain event, so poll until the buffer empties
+    if ((this.outbox.length > 0 || this.pendingStats) && this.drainTimer === null) {
+      this.drainTimer = setTimeout(() => {
+        this.drainTimer = null;
+        this.drain();
+      }, 100);
+    }
+  }
+
+  write(type, t, data) {
+    this.socket.send(JSON.stringify({ v: GAZER_STREAM_PROTOCOL, seq: ++this.seq, type, t, data }));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Say goodbye so the receiver can tell a finished session from a dropped connection
+  close(reason = "closed") {
+    this.closed = true;
+
+    if (this.reconnectTimer !== null) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.drainTimer !== null) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+
+    if (this.socket) {
+      if (this.isOpen()) {
+        this.drain();
+        this.write("end", this.options.now(), { reason });
+        this.socket.close(1000, reason);
+      } else {
+        this.socket.close();
+      }
+      this.socket = null;
+    }
+    this.setState("closed");
+  }
+}
+
+// Session export schema (gazer.export()). Bump the version on any incompatible change to the records.
+// `units` gives the unit of every numeric field, keyed by field name.
+const GAZER_SESSION_CLOCK_UNIT = "ms on the session clock - Unix epoch for \"wall\", the frame timestamps for \"frames\"";
+const GAZER_SESSION_SCHEMA = {
+  name: "gazer-session",
+  version: 1,
+  units: {
+    timestamp: GAZER_SESSION_CLOCK_UNIT,
+    start: GAZER_SESSION_CLOCK_UNIT,
+    end: GAZER_SESSION_CLOCK_UNIT,
+    startTime: GAZER_SESSION_CLOCK_UNIT,
+    endTime: GAZER_SESSION_CLOCK_UNIT,
+    durationMs: "milliseconds",
+    totalAwayMs: "milliseconds",
+    totalDistractedMs: "milliseconds",
+    totalDrowsyMs: "milliseconds",
+    totalAsleepMs: "milliseconds",
+    totalCameraLostMs: "milliseconds",
+    previousStateMs: "milliseconds",
+    blinkRatePerMin: "blinks per minute",
+    perclos: "0-1 share of time with eyes closed, sliding window",
+    processingFps: "frames per second",
+    x: "normalized viewport position 0-1, origin top left",
+    y: "normalized viewport position 0-1, origin top left",
+    screenX: "viewport pixels (calibrated only)",
+    screenY: "viewport pixels (calibrated only)",
+    confidence: "0-1",
+  },
+};
+
+// Analysis core: turns detector output (detections and landmarks) into gaze state, stats, events and
+// retina data. It never touches the DOM, so the same logic runs in Node and Web Workers.
+class GazerCore {
+  constructor(options = {}) {
+    // Performance mode presets
+    this.performancePresets = {
+      low: {
+        targetFps: 10,
+        frameSkip: 3,
+        pauseOnIdle: true,
+        reducedCanvas: true,
+        description: "Low CPU usage - Basic tracking"
+      },
+      medium: {
+        targetFps: 15,
+        frameSkip: 2,
+        pauseOnIdle: true,
+        reducedCanvas: false,
+        description: "Balanced performance - Recommended"
+      },
+      high: {
+        targetFps: 25,
+        frameSkip: 1,
+        pauseOnIdle: false,
+        reducedCanvas: false,
+        description: "High performance - Smooth tracking"
+      },
+      auto: {
+        targetFps: 15,
+        frameSkip: 1,
+        pauseOnIdle: true,
+        reducedCanvas: false,
+        description: "Adaptive - Tunes frame rate, frame skip and resolution to the device"
+      }
+    };
+
+    // Gaze sensitivity presets
+    this.sensitivityPresets = {
+      strict: {
+        horizontalThreshold: 0.2,
+        verticalThreshold: 0.1,
+        maxYaw: 15,
+        maxPitch: 12,
+        gazeHistorySize: 3,
+        description: "Strict detection - Requires precise gaze alignment"
+      },
+      medium: {
+        horizontalThreshold: 0.3,
+        verticalThreshold: 0.15,
+        maxYaw: 25,
+        maxPitch: 20,
+        gazeHistorySize: 5,
+        description: "Balanced sensitivity - Recommended for most users"
+      },
+      relaxed: {
+        horizontalThreshold: 0.5,
+        verticalThreshold: 0.25,
+        maxYaw: 35,
+        maxPitch: 28,
+        gazeHistorySize: 7,
+        description: "Relaxed detection - More forgiving gaze tracking"
+      }
+    };
+
+    // Default configuration
+    this.config = {
+      // Performance mode (low, medium, high, auto, or null for manual)
+      performanceMode: "medium",
+      
+      // Gaze sensitivity mode (strict, medium, relaxed, or null for manual)
+      sensitivityMode: "medium",
+      
+      // Performance settings
+      targetFps: 15,
+      frameSkip: 1,
+      pauseOnIdle: true,
+      reducedCanvas: false,
+      idleTimeout: 3000,
+      
+      // Auto performance mode (performanceMode: "auto")
+      autoCpuBudget: 0.5, // share of wall time inference may use (0.05-1)
+      autoLatencyTarget: 80, // ms per frame of inference
+      autoMinFps: 5,
+      autoMaxFps: 30,
+      autoMaxFrameSkip: 3,
+      autoAdjustInterval: 2000, // ms of measurements behind each decision
+      
+      // Gaze sensitivity
+      gazeClassification: "eyeGaze", // "eyeGaze" or "headPose" (angle limits), or "position" (face offset thresholds)
+      horizontalThreshold: 0.3,
+      verticalThreshold: 0.15,
+      maxYaw: 25, // degrees - head turned left/right beyond this counts as away
+      maxPitch: 20, // degrees - head tilted up/down beyond this counts as away
+      irisYawRange: 30, // degrees of eye rotation when the iris reaches the eye corner
+      irisPitchRange: 20, // degrees of eye rotation when the iris reaches the eyelid
+      gazeHistorySize: 5,
+      gazeFilter: "none", // "oneEuro", "kalman", "ema" or "none" - or per signal group: { gaze, eyeCenters, headPose }
+      gazeFilterParams: {}, // options per filter type, e.g. { oneEuro: { minCutoff: 1, beta: 0.05 } }
+      gazeHysteresis: 0, // 0-0.9 - once away, angles/offsets must drop below threshold × (1 - gazeHysteresis) to return
+      gazeMinDwell: 0, // ms a new gaze state must persist before it is reported
+      
+      // Logging
+      enableLogs: true,
+      
+      // Multi-face tracking (maxNumFaces > 1)
+      faceMatchThreshold: 0.3, // min bounding box overlap (IoU) to keep a face's ID between frames
+      faceLostTimeout: 3000, // ms a face may be missing before its ID is dropped
+      
+      // Size of the analyzed frames in pixels, used to correct landmark aspect ratio
+      frameWidth: 640,
+      frameHeight: 480,
+      
+      // Tracking data posting
+      postTrackingDataInterval: 30, // seconds - set to 0 to disable
+      sessionLog: false, // keep interval summaries, gaze transitions and retina locations for export()
+      sessionLogMaxRecords: 50000, // per list - the oldest records are dropped beyond this
+      postTrackingDataUrl: null, // POST tracking data here with retries and an offline queue
+      postTrackingDataHeaders: {}, // extra request headers
+      postTrackingDataAuth: null, // async () => headers (e.g. a fresh Authorization token) before every request
+      postTrackingDataBatchSize: 10, // records per request
+      postTrackingDataRetryDelay: 1000, // ms - first retry, doubled up to postTrackingDataMaxRetryDelay
+      postTrackingDataMaxRetryDelay: 60000, // ms
+      postTrackingDataMaxQueueSize: 500, // records kept while offline - the oldest are dropped beyond this
+      postTrackingDataQueue: "indexeddb", // "indexeddb" (survives reloads) or "memory"
+      
+      // Live WebSocket streaming
+      streamUrl: null, // ws(s):// URL - streams gaze changes, face count changes and stats
+      streamProtocols: undefined, // WebSocket subprotocols
+      streamWebSocket: null, // WebSocket implementation for environments without a global one (e.g. require("ws"))
+      streamMetadata: {}, // sent in every hello message, e.g. { candidateId: "c-42" }
+      streamStatsInterval: 1000, // ms between stats messages
+      streamMaxBufferedAmount: 65536, // bytes in the socket buffer before messages are held back
+      streamMaxQueueSize: 1000, // messages held while disconnected - the oldest are dropped beyond this
+      streamReconnectDelay: 1000, // ms - first reconnect attempt, doubled up to streamMaxReconnectDelay
+      streamMaxReconnectDelay: 30000, // ms
+      
+      // Retina location tracking
+      trackRetinaLocations: true,
+      retinaLocationChangeThreshold: 0.1, // 10% change to record new position
+      retinaLocationInterval: 5, // seconds - record location every X seconds regardless of change
+      
+      // Gaze heatmap
+      trackHeatmap: true,
+      heatmapColumns: 64,
+      heatmapRows: 36,
+      heatmapBlur: 2, // cells - Gaussian blur sigma used when rendering or exporting
+      
+      // Blink detection
+      detectBlinks: true,
+      blinkThreshold: 0.2, // eye aspect ratio below this counts as closed
+      blinkMaxDuration: 500, // ms - longer closures are not counted as blinks
+      blinkRateWindow: 60, // seconds - sliding window for blinks per minute
+      
+      // Drowsiness detection
+      detectDrowsiness: true,
+      perclosWindow: 60, // seconds - sliding window for PERCLOS (share of time eyes are closed)
+      drowsyPerclos: 0.15, // PERCLOS at or above this counts as drowsy
+      perclosMinDuration: 10, // seconds of eye data needed before PERCLOS can signal drowsiness
+      longEyeClosureDuration: 1000, // ms - a continuous closure this long counts as drowsy
+      asleepClosureDuration: 3000, // ms - a continuous closure this long counts as asleep
+      drowsinessAway: "asleep", // "asleep", "drowsy" (drowsy or asleep) or "none" - levels reported as gaze "away"
+      
+      // Fixation and saccade detection
+      detectEyeMovements: true,
+      eyeMovementAlgorithm: "ivt", // "ivt" (velocity threshold) or "idt" (dispersion threshold)
+      saccadeVelocityThreshold: 40, // deg/s - I-VT: faster gaze movement counts as a saccade
+      fixationDispersionThreshold: 2, // deg - I-DT: max yaw range + pitch range within a fixation
+      minFixationDuration: 100, // ms - shorter stable periods are not reported as fixations
+      
+      // Proctoring rules (see IncidentRulesEngine, e.g. Gazer.ProctoringRules)
+      rules: [],
+      
+      // Screen calibration
+      calibration: null, // saved result of calibrate() to restore for the same user
+      
+      // Callbacks
+      onFaceDetected: null,
+      onFaceTracked: null,
+      onFaceLost: null,
+      onFaceGazeChange: null,
+      onGazeChange: null,
+      onGazePoint: null,
+      onBlink: null,
+      onDrowsinessChange: null,
+      onFixation: null,
+      onSaccade: null,
+      onAoiEnter: null,
+      onAoiLeave: null,
+      onIncident: null,
+      onIncidentEnd: null,
+      onAttentionChange: null,
+      onStatsUpdate: null,
+      onPostTrackingData: null,
+      onTrackingDataSent: null,
+      onStreamStateChange: null,
+      onPerformanceDecision: null,
+      onError: null,
+      onIdle: null,
+      onResume: null,
+      
+      ...options
+    };
+
+    // Event listeners registered with on()/once(), keyed by event name
+    this.eventListeners = {};
+
+    // Virtual clock driven by frame timestamps (null = wall clock)
+    this.virtualTime = null;
+
+    // Apply performance mode if specified
+    this.applyPerformanceMode(options);
+    this.performanceController = null;
+    this.lastInferenceTime = null;
+    
+    // Apply sensitivity mode if specified
+    this.applySensitivityMode(options);
+
+    // Initialize state
+    this.initializeState();
+    
+    // Restore a saved calibration
+    if (this.config.calibration) {
+      this.setCalibration(this.config.calibration);
+    }
+
+    // Built-in HTTP delivery of tracking data
+    this.transport = null;
+    if (this.config.postTrackingDataUrl) {
+      this.createTransport();
+    }
+
+    // Live WebSocket output
+    this.stream = null;
+    if (this.config.streamUrl) {
+      this.createStream();
+    }
+
+    if (this.config.performanceMode === "auto") {
+      this.performanceController = this.createPerformanceController();
+    }
+  }
+
+  // Apply performance mode settings
+  applyPerformanceMode(userOptions = {}) {
+    const mode = this.config.performanceMode;
+    
+    if (mode && this.performancePresets[mode]) {
+      const preset = this.performancePresets[mode];
+      
+      // Check for manual overrides and warn if conflicts exist
+      const manualSettings = ['targetFps', 'frameSkip', 'pauseOnIdle', 'reducedCanvas'];
+      const hasManualOverrides = manualSettings.some(setting => 
+        userOptions.hasOwnProperty(setting)
+      );
+      
+      if (hasManualOverrides) {
+        this.log(`Performance mode "${mode}" selected, but manual settings detected. Manual settings will take precedence.`, "warning");
+        this.log(`Performance mode "${mode}": ${preset.description}`, "info");
+      } else {
+        // Apply preset settings
+        this.config.targetFps = preset.targetFps;
+        this.config.frameSkip = preset.frameSkip;
+        this.config.pauseOnIdle = preset.pauseOnIdle;
+        this.config.reducedCanvas = preset.reducedCanvas;
+        
+        this.log(`Applied performance mode "${mode}": ${preset.description}`, "success");
+        this.log(`Settings - FPS: ${preset.targetFps}, Frame Skip: ${preset.frameSkip}, Pause on Idle: ${preset.pauseOnIdle}, Reduced Canvas: ${preset.reducedCanvas}`, "info");
+      }
+    }
+  }
+
+  // Apply sensitivity mode settings
+  applySensitivityMode(userOptions = {}) {
+    const mode = this.config.sensitivityMode;
+    
+    if (mode && this.sensitivityPresets[mode]) {
+      const preset = this.sensitivityPresets[mode];
+      
+      // Check for manual overrides and warn if conflicts exist
+      const manualSettings = ['horizontalThreshold', 'verticalThreshold', 'maxYaw', 'maxPitch', 'gazeHistorySize'];
+      const hasManualOverrides = manualSettings.some(setting => 
+        userOptions.hasOwnProperty(setting)
+      );
+      
+      if (hasManualOverrides) {
+        this.log(`Sensitivity mode "${mode}" selected, but manual gaze settings detected. Manual settings will take precedence.`, "warning");
+        this.log(`Sensitivity mode "${mode}": ${preset.description}`, "info");
+      } else {
+        // Apply preset settings
+        this.config.horizontalThreshold = preset.horizontalThreshold;
+        this.config.verticalThreshold = preset.verticalThreshold;
+        this.config.maxYaw = preset.maxYaw;
+        this.config.maxPitch = preset.maxPitch;
+        this.config.gazeHistorySize = preset.gazeHistorySize;
+        
+        this.log(`Applied sensitivity mode "${mode}": ${preset.description}`, "success");
+        this.log(`Settings - Horizontal: ${preset.horizontalThreshold}, Vertical: ${preset.verticalThreshold}, Max Yaw: ${preset.maxYaw}°, Max Pitch: ${preset.maxPitch}°, Smoothing: ${preset.gazeHistorySize} frames`, "info");
+      }
+    }
+  }
+
+
+  initializeState() {
+    // Running state
+    this.isRunning = false;
+    this.isIdle = false;
+    
+    // Face identity tracking
+    this.faceTracker = new FaceTracker({
+      matchThreshold: this.config.faceMatchThreshold,
+      lostTimeout: this.config.faceLostTimeout,
+    });
+    this.primaryFaceId = null;
+    
+    // Tracking data
+    this.currentFaces = [];
+    this.lastFaceCount = -1;
+    this.lastGazeState = null;
+    this.currentMeshResults = null;
+    
+    // Statistics
+    this.faceCount = 0;
+    this.awayStartTime = null;
+    this.totalAwayTime = 0;
+    this.distractedStartTime = null;
+    this.totalDistractedTime = 0;
+    this.faceCountChanges = 0; // Track number of face count changes
+    this.cameraLostStartTime = null; // Set while tracking is suspended (camera lost)
+    this.totalCameraLostTime = 0;
+    
+    // Tracking data posting
+    this.trackingDataTimer = null;
+    this.lastTrackingDataPost = this.now();
+    this.trackingDataPending = false; // frames processed since the last post
+    this.lastGazeChangeTime = null;
+    
+    // Evidence snapshots since the last post (taken by the browser tracker)
+    this.intervalSnapshots = [];
+    
+    // Session log for export()
+    this.clearSessionLog();
+    
+    // Retina location tracking
+    this.retinaLocations = [];
+    this.lastRetinaPosition = null;
+    this.lastRetinaLocationRecord = this.now();
+    
+    // Blink detection
+    this.resetBlinkState();
+    
+    // Drowsiness detection
+    this.resetDrowsinessState();
+    
+    // Fixation and saccade detection
+    this.resetEyeMovementState();
+    
+    // Proctoring rules
+    this.resetIncidentState();
+    
+    // Screen calibration
+    this.calibration = null;
+    this.calibrationModel = null;
+    this.calibrationSession = null;
+    
+    // Areas of interest, keyed by ID
+    this.areasOfInterest = new Map();
+    this.nextAreaOfInterestId = 1;
+    
+    // Gaze heatmaps, one per page/section
+    this.heatmaps = new Map();
+    this.heatmapSection = "default";
+    this.lastHeatmapSample = null;
+    
+    // Session recording, replay and offline video analysis
+    this.recorder = null;
+    this.isOffline = false;
+    this.offlineFrameSize = null;
+    this.analysisCancelled = false;
+    
+    // Performance tracking
+    this.frameCounter = 0;
+    this.lastFrameTime = this.now();
+    this.processingFps = 0;
+    this.framesSkipped = 0;
+    this.frameSkipCounter = -1; // So the first frame is processed
+    this.canvasUpdates = 0;
+    this.lastIdleTime = this.now();
+  }
+
+  // Subscribe to an event. Config callbacks (onGazeChange etc.) keep working alongside listeners.
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`Listener for "${event}" must be a function`);
+    }
+
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push({ listener, once: false });
+
+    // Adding a tracking data listener while running starts the posting timer
+    if (event === "postTrackingData" && this.isRunning && !this.trackingDataTimer) {
+      this.startTrackingDataTimer();
+    }
+
+    return this;
+  }
+
+  // Subscribe for a single call
+  once(event, listener) {
+    this.on(event, listener);
+    const entries = this.eventListeners[event];
+    entries[entries.length - 1].once = true;
+    return this;
+  }
+
+  // Unsubscribe a listener, or all listeners for an event when none is given
+  off(event, listener) {
+    if (!this.eventListeners[event]) return this;
+
+    if (listener) {
+      this.eventListeners[event] = this.eventListeners[event].filter((entry) => entry.listener !== listener);
+    } else {
+      delete this.eventListeners[event];
+    }
+
+    return this;
+  }
+
+  addEventListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  removeEventListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  // Config callback name for an event, e.g. "gazeChange" -> "onGazeChange"
+  getCallbackName(event) {
+    return "on" + event.charAt(0).toUpperCase() + event.slice(1);
+  }
+
+  hasListeners(event) {
+    return typeof this.config[this.getCallbackName(event)] === "function" ||
+      (this.eventListeners[event] || []).length > 0;
+  }
+
+  // Call the config callback, then listeners. A throwing or rejecting handler is logged
+  // and skipped so it can't break the frame loop or other handlers.
+  emit(event, ...args) {
+    const handlers = [];
+    const callback = this.config[this.getCallbackName(event)];
+    if (typeof callback === "function") {
+      handlers.push(callback);
+    }
+
+    const entries = this.eventListeners[event];
+    if (entries) {
+      entries.forEach((entry) => handlers.push(entry.listener));
+      this.eventListeners[event] = entries.filter((entry) => !entry.once);
+    }
+
+    handlers.forEach((handler) => {
+      try {
+        const result = handler.apply(this, args);
+        if (result && typeof result.catch === "function") {
+          result.catch((error) => this.log(`Async "${event}" handler failed: ${error && error.message}`, "error"));
+        }
+      } catch (error) {
+        this.log(`"${event}" handler threw: ${error && error.message}`, "error");
+      }
+    });
+  }
+
+  // Current time in ms - the virtual clock while frames drive time (replay, video analysis,
+  // processResults() with timestamps), otherwise Date.now()
+  now() {
+    return this.virtualTime !== null ? this.virtualTime : Date.now();
+  }
+
+  // Logging function
+  log(message, type = "info") {
+    if (!this.config.enableLogs) return;
+    
+    const timestamp = new Date().toLocaleTimeString();
+    const logMessage = `[${timestamp}] [Gazer.js] ${message}`;
+    
+    switch (type) {
+      case "warning":
+        console.warn(logMessage);
+        break;
+      case "success":
+        console.log(`✅ ${logMessage}`);
+        break;
+      case "gaze":
+        console.log(`👁️ ${logMessage}`);
+        break;
+      case "error":
+        console.error(`❌ ${logMessage}`);
+        break;
+      case "info":
+      default:
+        console.log(`ℹ️ ${logMessage}`);
+        break;
+    }
+  }
+
+  // Calculate gaze direction from landmarks. `filters` (GazeSignalFilters) smooths the signals
+  // and remembers the previous direction for hysteresis.
+  calculateGazeDirection(landmarks, filters = null) {
+    if (!landmarks || landmarks.length < 468) return null;
+
+    const leftEyeOuter = landmarks[33] || null;
+    const leftEyeInner = landmarks[133] || null;
+    const rightEyeOuter = landmarks[362] || null;
+    const rightEyeInner = landmarks[263] || null;
+    const noseTip = landmarks[1] || null;
+    const leftEyeTop = landmarks[159] || null;
+    const leftEyeBottom = landmarks[145] || null;
+    const rightEyeTop = landmarks[386] || null;
+    const rightEyeBottom = landmarks[374] || null;
+
+    if (!leftEyeOuter || !rightEyeOuter || !noseTip) return null;
+
+    // Calculate eye centers
+    let leftEyeCenter = {
+      x: (leftEyeOuter.x + leftEyeInner.x) / 2,
+      y: (leftEyeTop.y + leftEyeBottom.y) / 2,
+    };
+
+    let rightEyeCenter = {
+      x: (rightEyeOuter.x + rightEyeInner.x) / 2,
+      y: (rightEyeTop.y + rightEyeBottom.y) / 2,
+    };
+
+    // Calculate gaze offsets
+    const eyeDistance = Math.abs(rightEyeCenter.x - leftEyeCenter.x);
+    let horizontalGaze = ((leftEyeCenter.x + rightEyeCenter.x) / 2 - 0.5) / eyeDistance;
+    let verticalGaze = (leftEyeCenter.y + rightEyeCenter.y) / 2 - 0.4;
+
+    // Estimate 3D head rotation
+    let headPose = this.estimateHeadPose(landmarks);
+
+    // Iris position within the eyes (needs refined landmarks)
+    const irisGaze = this.calculateIrisGaze(landmarks);
+
+    if (filters) {
+      const now = this.now();
+      leftEyeCenter = filters.applyPoint("eyeCenters", "left", leftEyeCenter, now);
+      rightEyeCenter = filters.applyPoint("eyeCenters", "right", rightEyeCenter, now);
+      horizontalGaze = filters.apply("gaze", "horizontal", horizontalGaze, now);
+      verticalGaze = filters.apply("gaze", "vertical", verticalGaze, now);
+      if (irisGaze) {
+        irisGaze.horizontal = filters.apply("gaze", "irisHorizontal", irisGaze.horizontal, now);
+        irisGaze.vertical = filters.apply("gaze", "irisVertical", irisGaze.vertical, now);
+      }
+      if (headPose) {
+        headPose = {
+          yaw: filters.apply("headPose", "yaw", headPose.yaw, now),
+          pitch: filters.apply("headPose", "pitch", headPose.pitch, now),
+          roll: filters.apply("headPose", "roll", headPose.roll, now),
+        };
+      }
+    }
+
+    // Calculate face center
+    const faceCenter = {
+      x: (leftEyeCenter.x + rightEyeCenter.x) / 2,
+      y: (leftEyeCenter.y + rightEyeCenter.y) / 2,
+    };
+
+    // Combine iris position with head pose into eye gaze angles
+    let eyeGaze = null;
+    if (irisGaze && headPose) {
+      eyeGaze = {
+        yaw: headPose.yaw + irisGaze.horizontal * this.config.irisYawRange,
+        pitch: headPose.pitch - irisGaze.vertical * this.config.irisPitchRange,
+      };
+      eyeGaze.direction =
+        Math.abs(eyeGaze.yaw) > this.config.maxYaw || Math.abs(eyeGaze.pitch) > this.config.maxPitch
+          ? "away"
+          : "screen";
+    }
+
+    // Hysteresis: entering "away" uses the thresholds, leaving it the lower exit thresholds
+    const limitScale = filters && filters.lastDirection === "away" ? 1 - this.config.gazeHysteresis : 1;
+
+    // Determine gaze direction
+    let gazeDirection = "screen";
+    // Without iris landmarks (refineLandmarks off, 468-point streams) eye gaze falls back to head pose
+    const angles = this.config.gazeClassification === "eyeGaze" ? (eyeGaze || headPose) : headPose;
+    if (this.config.gazeClassification !== "position" && angles) {
+      if (Math.abs(angles.yaw) > this.config.maxYaw * limitScale) {
+        gazeDirection = "away";
+      } else if (Math.abs(angles.pitch) > this.config.maxPitch * limitScale) {
+        gazeDirection = "away";
+      }
+    } else if (Math.abs(horizontalGaze) > this.config.horizontalThreshold * limitScale) {
+      gazeDirection = "away";
+    } else if (Math.abs(verticalGaze) > this.config.verticalThreshold * limitScale) {
+      gazeDirection = "away";
+    }
+
+    if (filters) {
+      filters.lastDirection = gazeDirection;
+    }
+
+    return {
+      direction: gazeDirection,
+      horizontal: horizontalGaze,
+      vertical: verticalGaze,
+      yaw: headPose ? headPose.yaw : null,
+      pitch: headPose ? headPose.pitch : null,
+      roll: headPose ? headPose.roll : null,
+      leftIris: irisGaze ? irisGaze.left : null,
+      rightIris: irisGaze ? irisGaze.right : null,
+      irisHorizontal: irisGaze ? irisGaze.horizontal : null,
+      irisVertical: irisGaze ? irisGaze.vertical : null,
+      eyeYaw: eyeGaze ? eyeGaze.yaw : null,
+      eyePitch: eyeGaze ? eyeGaze.pitch : null,
+      eyeDirection: eyeGaze ? eyeGaze.direction : null,
+      confidence: Math.max(0.5, 1 - Math.abs(horizontalGaze) - Math.abs(verticalGaze)),
+      leftEyeCenter,
+      rightEyeCenter,
+      faceCenter,
+    };
+  }
+
+  // Estimate head rotation (degrees) from the 3D mesh landmarks.
+  // Builds the face's axes from the eye corners (33, 263) and forehead/chin (10, 152):
+  // yaw > 0 = turned toward image right, pitch > 0 = looking up, roll > 0 = tilted clockwise in the image.
+  estimateHeadPose(landmarks) {
+    const leftEye = landmarks[33];
+    const rightEye = landmarks[263];
+    const forehead = landmarks[10];
+    const chin = landmarks[152];
+    if (!leftEye || !rightEye || !forehead || !chin) return null;
+
+    // Landmarks are normalized per axis (x and z by frame width, y by height), so rescale to square units
+    const aspect = this.getFrameAspectRatio();
+    const toPoint = (p) => ({ x: p.x * aspect, y: p.y, z: (p.z || 0) * aspect });
+    const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const normalize = (v) => {
+      const length = Math.sqrt(dot(v, v)) || 1;
+      return { x: v.x / length, y: v.y / length, z: v.z / length };
+    };
+
+    // Face axes: right (across the eyes), up (chin to forehead), forward (out of the face)
+    const right = normalize(subtract(toPoint(rightEye), toPoint(leftEye)));
+    let up = subtract(toPoint(forehead), toPoint(chin));
+    const projection = dot(up, right);
+    up = normalize({ x: up.x - projection * right.x, y: up.y - projection * right.y, z: up.z - projection * right.z });
+    const forward = {
+      x: right.y * up.z - right.z * up.y,
+      y: right.z * up.x - right.x * up.z,
+      z: right.x * up.y - right.y * up.x,
+    };
+
+    const toDegrees = 180 / Math.PI;
+    return {
+      yaw: Math.atan2(forward.x, -forward.z) * toDegrees,
+      pitch: Math.atan2(-forward.y, -forward.z) * toDegrees,
+      roll: Math.atan2(right.y, right.x) * toDegrees,
+    };
+  }
+
+  // Locate each iris within its eye opening using the refined iris landmarks (468-477).
+  // Ratios run from -1 to 1: horizontal > 0 = toward image right, vertical > 0 = down.
+  calculateIrisGaze(landmarks) {
+    if (landmarks.length < 478) return null;
+
+    const eyeOffset = (iris, cornerLeft, cornerRight, lidTop, lidBottom) => {
+      const eyeX = cornerRight.x - cornerLeft.x;
+      const eyeY = cornerRight.y - cornerLeft.y;
+      const eyeWidthSq = eyeX * eyeX + eyeY * eyeY;
+      const eyeHeight = lidBottom.y - lidTop.y;
+      if (eyeWidthSq === 0 || eyeHeight === 0) return null;
+
+      // Project the iris center onto the corner-to-corner line, then measure it between the lids
+      const along = ((iris.x - cornerLeft.x) * eyeX + (iris.y - cornerLeft.y) * eyeY) / eyeWidthSq;
+      const between = (iris.y - lidTop.y) / eyeHeight;
+
+      return {
+        x: iris.x,
+        y: iris.y,
+        horizontal: Math.max(-1, Math.min(1, (along - 0.5) * 2)),
+        vertical: Math.max(-1, Math.min(1, (between - 0.5) * 2)),
+      };
+    };
+
+    // 468 is the iris of the eye at 33/133, 473 the iris of the eye at 362/263
+    const left = eyeOffset(landmarks[468], landmarks[33], landmarks[133], landmarks[159], landmarks[145]);
+    const right = eyeOffset(landmarks[473], landmarks[362], landmarks[263], landmarks[386], landmarks[374]);
+    if (!left || !right) return null;
+
+    return {
+      left,
+      right,
+      horizontal: (left.horizontal + right.horizontal) / 2,
+      vertical: (left.vertical + right.vertical) / 2,
+    };
+  }
+
+  // Eye aspect ratio per eye: (|p2-p6| + |p3-p5|) / (2|p1-p4|) over six eyelid/corner landmarks.
+  // Roughly 0.25-0.35 when open, dropping toward 0 as the eye closes.
+  calculateEyeAspectRatios(landmarks) {
+    const aspect = this.getFrameAspectRatio();
+    const distance = (a, b) => Math.hypot((a.x - b.x) * aspect, a.y - b.y);
+    const eyeAspectRatio = ([p1, p2, p3, p4, p5, p6]) => {
+      const points = [p1, p2, p3, p4, p5, p6].map((index) => landmarks[index]);
+      if (points.some((point) => !point)) return null;
+
+      const width = distance(points[0], points[3]);
+      if (width === 0) return null;
+      return (distance(points[1], points[5]) + distance(points[2], points[4])) / (2 * width);
+    };
+
+    const left = eyeAspectRatio([33, 160, 158, 133, 153, 144]);
+    const right = eyeAspectRatio([362, 385, 387, 263, 373, 380]);
+    if (left === null || right === null) return null;
+
+    return { left, right };
+  }
+
+  // Size of the analyzed frames in pixels
+  getFrameSize() {
+    if (this.offlineFrameSize) {
+      return { ...this.offlineFrameSize };
+    }
+    return { width: this.config.frameWidth, height: this.config.frameHeight };
+  }
+
+  // Width/height ratio of the analyzed frames
+  getFrameAspectRatio() {
+    const size = this.getFrameSize();
+    return size.width / size.height;
+  }
+
+  // Gaze position in normalized screen coordinates (0-1): the calibrated point, or an estimate from the face offset
+  getGazePosition(gazeData) {
+    const gazePoint = gazeData.gazePoint;
+    return {
+      x: gazePoint ? gazePoint.normalizedX : Math.max(0, Math.min(1, 0.5 + gazeData.horizontal)),
+      y: gazePoint ? gazePoint.normalizedY : Math.max(0, Math.min(1, 0.5 + gazeData.vertical)),
+    };
+  }
+
+  // Calculate and record retina position if tracking is enabled
+  recordRetinaPosition(gazeData) {
+    if (!this.config.trackRetinaLocations || !gazeData) {
+      return;
+    }
+
+    const now = this.now();
+    const timeSinceLastRecord = (now - this.lastRetinaLocationRecord) / 1000;
+    
+    const gazePoint = gazeData.gazePoint;
+    const retinaPosition = {
+      ...this.getGazePosition(gazeData),
+      confidence: gazeData.confidence,
+      timestamp: now
+    };
+
+    let shouldRecord = false;
+
+    // Record if this is the first position
+    if (!this.lastRetinaPosition) {
+      shouldRecord = true;
+    }
+    // Record if enough time has passed (interval-based recording)
+    else if (timeSinceLastRecord >= this.config.retinaLocationInterval) {
+      shouldRecord = true;
+    }
+    // Record if position changed significantly (change-based recording)
+    else if (this.lastRetinaPosition) {
+      const deltaX = Math.abs(retinaPosition.x - this.lastRetinaPosition.x);
+      const deltaY = Math.abs(retinaPosition.y - this.lastRetinaPosition.y);
+      const maxDelta = Math.max(deltaX, deltaY);
+      
+      if (maxDelta >= this.config.retinaLocationChangeThreshold) {
+        shouldRecord = true;
+      }
+    }
+
+    if (shouldRecord) {
+      const location = {
+        x: retinaPosition.x,
+        y: retinaPosition.y,
+        confidence: retinaPosition.confidence,
+        timestamp: retinaPosition.timestamp,
+        gazeDirection: gazeData.direction
+      };
+
+      // Calibrated pixel coordinates
+      if (gazePoint) {
+        location.screenX = gazePoint.x;
+        location.screenY = gazePoint.y;
+        location.calibrated = true;
+      }
+
+      this.retinaLocations.push(location);
+      if (this.config.sessionLog) {
+        this.appendSessionLog(this.sessionLog.retinaLocations, {
+          timestamp: location.timestamp,
+          x: location.x,
+          y: location.y,
+          confidence: location.confidence,
+          gazeDirection: location.gazeDirection,
+          screenX: gazePoint ? gazePoint.x : null,
+          screenY: gazePoint ? gazePoint.y : null,
+          calibrated: Boolean(gazePoint),
+        });
+      }
+
+      this.lastRetinaPosition = retinaPosition;
+      this.lastRetinaLocationRecord = now;
+
+      this.log(`Recorded retina position: (${retinaPosition.x.toFixed(3)}, ${retinaPosition.y.toFixed(3)}) confidence: ${retinaPosition.confidence.toFixed(2)}`, "info");
+    }
+  }
+
+  resetBlinkState() {
+    this.eyesClosedSince = null;
+    this.blinkTimestamps = [];
+    this.totalBlinks = 0;
+    this.intervalBlinks = 0;
+    this.blinkTrackingStart = null;
+  }
+
+  // Update per-eye open/closed state and detect completed blinks.
+  // Adds eye aspect ratios and open/closed flags to gazeData.
+  updateBlinkState(landmarks, gazeData) {
+    if (!this.config.detectBlinks) return;
+
+    const ratios = this.calculateEyeAspectRatios(landmarks);
+    if (!ratios) return;
+
+    const now = this.now();
+    if (this.blinkTrackingStart === null) {
+      this.blinkTrackingStart = now;
+    }
+
+    const threshold = this.config.blinkThreshold;
+    gazeData.leftEyeAspectRatio = ratios.left;
+    gazeData.rightEyeAspectRatio = ratios.right;
+    gazeData.leftEyeOpen = ratios.left >= threshold;
+    gazeData.rightEyeOpen = ratios.right >= threshold;
+
+    const eyesClosed = (ratios.left + ratios.right) / 2 < threshold;
+
+    if (eyesClosed && this.eyesClosedSince === null) {
+      this.eyesClosedSince = now;
+    } else if (!eyesClosed && this.eyesClosedSince !== null) {
+      const duration = now - this.eyesClosedSince;
+      this.eyesClosedSince = null;
+
+      if (duration <= this.config.blinkMaxDuration) {
+        this.totalBlinks++;
+        this.intervalBlinks++;
+        this.blinkTimestamps.push(now);
+
+        this.emit("blink", {
+          timestamp: now,
+          duration,
+          blinkRate: this.getBlinkRate(now),
+        });
+      }
+    }
+
+    // Eyes closed briefly enough to still be a blink in progress
+    gazeData.blinking = this.eyesClosedSince !== null && now - this.eyesClosedSince <= this.config.blinkMaxDuration;
+  }
+
+  // Blinks per minute over the sliding window (or the time tracked so far, if shorter)
+  getBlinkRate(now = this.now()) {
+    if (this.blinkTrackingStart === null) return 0;
+
+    const windowMs = this.config.blinkRateWindow * 1000;
+    while (this.blinkTimestamps.length > 0 && now - this.blinkTimestamps[0] > windowMs) {
+      this.blinkTimestamps.shift();
+    }
+
+    const elapsed = Math.min(windowMs, now - this.blinkTrackingStart);
+    if (elapsed < 1000) return 0;
+
+    return Math.round((this.blinkTimestamps.length / (elapsed / 60000)) * 10) / 10;
+  }
+
+  resetDrowsinessState() {
+    this.drowsinessLevel = "alert";
+    this.eyeClosureSamples = [];
+    this.eyeClosureStart = null;
+    this.longClosureCounted = false;
+    this.totalLongEyeClosures = 0;
+    this.intervalLongEyeClosures = 0;
+    this.drowsyStartTime = null;
+    this.totalDrowsyTime = 0;
+    this.asleepStartTime = null;
+    this.totalAsleepTime = 0;
+  }
+
+  // Track eye closure over time and classify drowsiness as alert, drowsy or asleep
+  updateDrowsiness(landmarks, gazeData) {
+    if (!this.config.detectDrowsiness) return;
+
+    let left = gazeData.leftEyeAspectRatio;
+    let right = gazeData.rightEyeAspectRatio;
+    if (left === undefined || right === undefined) {
+      const ratios = this.calculateEyeAspectRatios(landmarks);
+      if (!ratios) return;
+      left = ratios.left;
+      right = ratios.right;
+    }
+
+    const now = this.now();
+    const closed = (left + right) / 2 < this.config.blinkThreshold;
+
+    // Continuous closure duration
+    if (closed && this.eyeClosureStart === null) {
+      this.eyeClosureStart = now;
+      this.longClosureCounted = false;
+    } else if (!closed) {
+      this.eyeClosureStart = null;
+    }
+    const closureDuration = this.eyeClosureStart !== null ? now - this.eyeClosureStart : 0;
+
+    if (closureDuration >= this.config.longEyeClosureDuration && !this.longClosureCounted) {
+      this.longClosureCounted = true;
+      this.totalLongEyeClosures++;
+      this.intervalLongEyeClosures++;
+      this.log(`Long eye closure detected (${closureDuration}ms)`, "warning");
+    }
+
+    // PERCLOS over the sliding window
+    this.eyeClosureSamples.push({ timestamp: now, closed });
+    const windowStart = now - this.config.perclosWindow * 1000;
+    while (this.eyeClosureSamples.length > 0 && this.eyeClosureSamples[0].timestamp < windowStart) {
+      this.eyeClosureSamples.shift();
+    }
+    const perclos = this.calculatePerclos(now);
+    const perclosReady = now - this.eyeClosureSamples[0].timestamp >= this.config.perclosMinDuration * 1000;
+
+    let level = "alert";
+    if (closureDuration >= this.config.asleepClosureDuration) {
+      level = "asleep";
+    } else if (closureDuration >= this.config.longEyeClosureDuration) {
+      level = "drowsy";
+    } else if (perclosReady && perclos >= this.config.drowsyPerclos) {
+      level = "drowsy";
+    }
+
+    gazeData.perclos = perclos;
+    gazeData.eyeClosureDuration = closureDuration;
+    gazeData.drowsinessLevel = level;
+
+    this.updateDrowsinessLevel(level, { perclos, closureDuration });
+  }
+
+  isDrowsinessAway(level) {
+    if (this.config.drowsinessAway === "asleep") return level === "asleep";
+    if (this.config.drowsinessAway === "drowsy") return level === "drowsy" || level === "asleep";
+    return false;
+  }
+
+  // Share of time (0-1) the eyes were closed within the PERCLOS window.
+  // Each sample lasts until the next one; gaps over a second (frame drops, idle) are capped.
+  calculatePerclos(now = this.now()) {
+    const samples = this.eyeClosureSamples;
+    let closedTime = 0;
+    let totalTime = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      const end = i + 1 < samples.length ? samples[i + 1].timestamp : now;
+      const duration = Math.min(1000, end - samples[i].timestamp);
+      totalTime += duration;
+      if (samples[i].closed) {
+        closedTime += duration;
+      }
+    }
+
+    return totalTime > 0 ? closedTime / totalTime : 0;
+  }
+
+  // Switch drowsiness level, keeping drowsy/asleep time totals
+  updateDrowsinessLevel(level, details) {
+    const now = this.now();
+
+    // "asleep" time counts towards drowsy time as well
+    const isDrowsy = level !== "alert";
+    if (isDrowsy && this.drowsyStartTime === null) {
+      this.drowsyStartTime = now;
+    } else if (!isDrowsy && this.drowsyStartTime !== null) {
+      this.totalDrowsyTime += now - this.drowsyStartTime;
+      this.drowsyStartTime = null;
+    }
+
+    const isAsleep = level === "asleep";
+    if (isAsleep && this.asleepStartTime === null) {
+      this.asleepStartTime = now;
+    } else if (!isAsleep && this.asleepStartTime !== null) {
+      this.totalAsleepTime += now - this.asleepStartTime;
+      this.asleepStartTime = null;
+    }
+
+    if (level !== this.drowsinessLevel) {
+      this.drowsinessLevel = level;
+      this.log(`Drowsiness level: ${level} (PERCLOS ${(details.perclos * 100).toFixed(1)}%)`, level === "alert" ? "info" : "warning");
+
+      this.emit("drowsinessChange", level, details);
+    }
+  }
+
+  // Current drowsy/asleep totals in milliseconds
+  getDrowsinessTimes(now = this.now()) {
+    let drowsyTime = this.totalDrowsyTime;
+    if (this.drowsyStartTime !== null) {
+      drowsyTime += now - this.drowsyStartTime;
+    }
+
+    let asleepTime = this.totalAsleepTime;
+    if (this.asleepStartTime !== null) {
+      asleepTime += now - this.asleepStartTime;
+    }
+
+    return { drowsyTime, asleepTime };
+  }
+
+  createEyeMovementClassifier() {
+    return new EyeMovementClassifier({
+      algorithm: this.config.eyeMovementAlgorithm,
+      velocityThreshold: this.config.saccadeVelocityThreshold,
+      dispersionThreshold: this.config.fixationDispersionThreshold,
+      minFixationDuration: this.config.minFixationDuration,
+    });
+  }
+
+  resetEyeMovementState() {
+    this.eyeMovementClassifier = this.createEyeMovementClassifier();
+    this.fixations = []; // Since the last tracking data post
+    this.saccades = [];
+    this.totalFixations = 0;
+    this.totalSaccades = 0;
+  }
+
+  // Feed the primary face's gaze angle (eyes + head) to the fixation/saccade classifier
+  updateEyeMovements(gazeData) {
+    // Eye landmarks are unreliable mid-blink; the gap is bridged by the classifier
+    if (!this.config.detectEyeMovements || gazeData.blinking) return;
+
+    const yaw = gazeData.eyeYaw !== null ? gazeData.eyeYaw : gazeData.yaw;
+    const pitch = gazeData.eyePitch !== null ? gazeData.eyePitch : gazeData.pitch;
+    if (yaw === null || pitch === null) return;
+
+    const sample = { t: this.now(), yaw, pitch, ...this.getGazePosition(gazeData) };
+    if (gazeData.gazePoint) {
+      sample.screenX = gazeData.gazePoint.x;
+      sample.screenY = gazeData.gazePoint.y;
+    }
+
+    this.handleEyeMovements(this.eyeMovementClassifier.update(sample));
+  }
+
+  // Close the current fixation, e.g. when the face disappears or tracking ends
+  flushEyeMovements() {
+    this.handleEyeMovements(this.eyeMovementClassifier.flush());
+  }
+
+  handleEyeMovements(movements) {
+    movements.forEach((movement) => {
+      if (movement.type === "fixation") {
+        this.fixations.push(movement);
+        this.totalFixations++;
+        this.recordAreaOfInterestFixation(movement);
+        this.emit("fixation", movement);
+      } else {
+        this.saccades.push(movement);
+        this.totalSaccades++;
+        this.emit("saccade", movement);
+      }
+    });
+  }
+
+  resetIncidentState() {
+    this.incidentRules = new IncidentRulesEngine(this.config.rules || []);
+    this.intervalIncidents = new Set(); // Open, started or ended since the last tracking data post
+    this.totalIncidents = 0;
+  }
+
+  // Snapshot the rules are evaluated against
+  getRuleMetrics(now = this.now()) {
+    const areaOfInterest = [...this.areasOfInterest.values()].find((area) => area.enteredAt !== null);
+
+    return {
+      timestamp: now,
+      faceCount: this.faceCount,
+      gazeState: this.lastGazeState,
+      drowsinessLevel: this.drowsinessLevel,
+      perclos: Math.round(this.calculatePerclos(now) * 1000) / 1000,
+      blinkRate: this.getBlinkRate(now),
+      areaOfInterest: areaOfInterest ? areaOfInterest.id : null,
+    };
+  }
+
+  // Evaluate the proctoring rules once per frame
+  updateIncidents() {
+    if (this.incidentRules.rules.length === 0) return;
+
+    this.handleIncidents(this.incidentRules.update(this.getRuleMetrics()));
+  }
+
+  // Close open incidents, e.g. when tracking ends
+  flushIncidents() {
+    this.handleIncidents(this.incidentRules.flush(this.now()));
+  }
+
+  handleIncidents(events) {
+    events.forEach(({ type, incident }) => {
+      this.intervalIncidents.add(incident);
+
+      if (type === "start") {
+        this.totalIncidents++;
+        this.log(`Incident: ${incident.ruleId} (${incident.severity})`, "warning");
+        this.requestSnapshot("incident", { incidentId: incident.id, ruleId: incident.ruleId, severity: incident.severity });
+        if (this.stream) {
+          this.stream.send("incident", incident, incident.start);
+        }
+        this.emit("incident", incident);
+      } else {
+        this.log(`Incident ended: ${incident.ruleId} after ${Math.round(incident.durationMs / 1000)}s`, "info");
+        if (this.stream) {
+          this.stream.send("incidentEnd", incident, incident.end);
+        }
+        this.emit("incidentEnd", incident);
+      }
+    });
+  }
+
+  // Copies of the open incidents
+  getActiveIncidents() {
+    return this.incidentRules.getActiveIncidents(this.now()).map((incident) => ({ ...incident }));
+  }
+
+  // Register a region to measure gaze dwell on: an element (anything with getBoundingClientRect(),
+  // re-measured every frame so scrolling and layout changes are followed) or a { x, y, width, height }
+  // rect in viewport pixels. Returns the area's ID.
+  addAreaOfInterest(target, id) {
+    if (!target || (typeof target.getBoundingClientRect !== "function" && typeof target.width !== "number")) {
+      throw new TypeError("addAreaOfInterest() needs an element or a { x, y, width, height } rect");
+    }
+
+    const areaId = id !== undefined && id !== null ? id : (target.id || `aoi-${this.nextAreaOfInterestId++}`);
+    if (this.areasOfInterest.has(areaId)) {
+      this.removeAreaOfInterest(areaId);
+    }
+
+    this.areasOfInterest.set(areaId, {
+      id: areaId,
+      target,
+      since: this.now(),
+      dwellTime: 0,
+      entries: 0,
+      enteredAt: null,
+      fixationCount: 0,
+      firstFixationTime: null,
+    });
+
+    if (!this.isCalibrated()) {
+      this.log(`Area of interest "${areaId}" added - gaze points need a screen calibration before areas can be entered`, "warning");
+    } else {
+      this.log(`Area of interest "${areaId}" added`, "info");
+    }
+    return areaId;
+  }
+
+  removeAreaOfInterest(id) {
+    const area = this.areasOfInterest.get(id);
+    if (!area) return false;
+
+    if (area.enteredAt !== null) {
+      this.leaveAreaOfInterest(area, this.now());
+    }
+    this.areasOfInterest.delete(id);
+    return true;
+  }
+
+  clearAreasOfInterest() {
+    Array.from(this.areasOfInterest.keys()).forEach((id) => this.removeAreaOfInterest(id));
+  }
+
+  resetAreaOfInterestStats() {
+    const now = this.now();
+    this.areasOfInterest.forEach((area) => {
+      area.since = now;
+      area.dwellTime = 0;
+      area.entries = 0;
+      area.enteredAt = null;
+      area.fixationCount = 0;
+      area.firstFixationTime = null;
+    });
+  }
+
+  // Current rect of an area in viewport pixels
+  getAreaOfInterestRect(area) {
+    const rect = typeof area.target.getBoundingClientRect === "function"
+      ? area.target.getBoundingClientRect()
+      : area.target;
+
+    return {
+      x: rect.x !== undefined ? rect.x : rect.left,
+      y: rect.y !== undefined ? rect.y : rect.top,
+      width: rect.width,
+      height: rect.height,
+    };
+  }
+
+  areaOfInterestContains(area, x, y) {
+    const rect = this.getAreaOfInterestRect(area);
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+  }
+
+  // Enter and leave areas for the current gaze point in pixels (null = not looking at the screen)
+  updateAreasOfInterest(point) {
+    if (this.areasOfInterest.size === 0) return;
+
+    const now = this.now();
+    this.areasOfInterest.forEach((area) => {
+      const inside = point !== null && this.areaOfInterestContains(area, point.x, point.y);
+
+      if (inside && area.enteredAt === null) {
+        area.enteredAt = now;
+        area.entries++;
+        this.emit("aoiEnter", this.getAreaOfInterestSummary(area, now), point);
+      } else if (!inside && area.enteredAt !== null) {
+        this.leaveAreaOfInterest(area, now);
+      }
+    });
+  }
+
+  leaveAreaOfInterest(area, now) {
+    area.dwellTime += now - area.enteredAt;
+    area.enteredAt = null;
+    this.emit("aoiLeave", this.getAreaOfInterestSummary(area, now));
+  }
+
+  // Count a calibrated fixation towards the areas containing its centroid
+  recordAreaOfInterestFixation(fixation) {
+    if (!fixation.calibrated) return;
+
+    this.areasOfInterest.forEach((area) => {
+      if (!this.areaOfInterestContains(area, fixation.screenX, fixation.screenY)) return;
+
+      area.fixationCount++;
+      if (area.firstFixationTime === null) {
+        area.firstFixationTime = Math.max(0, fixation.start - area.since);
+      }
+    });
+  }
+
+  // Public snapshot of an area of interest; times in ms. Counts cover the whole session
+  // (since the area was added or the tracking state was reset), also in tracking data.
+  getAreaOfInterestSummary(area, now = this.now()) {
+    let totalDwellTime = area.dwellTime;
+    if (area.enteredAt !== null) {
+      totalDwellTime += now - area.enteredAt;
+    }
+
+    return {
+      id: area.id,
+      rect: this.getAreaOfInterestRect(area),
+      isGazeInside: area.enteredAt !== null,
+      totalDwellTime,
+      entries: area.entries,
+      fixationCount: area.fixationCount,
+      firstFixationTime: area.firstFixationTime,
+    };
+  }
+
+  // Summaries of all registered areas of interest
+  getAreasOfInterest(now = this.now()) {
+    return Array.from(this.areasOfInterest.values()).map((area) => this.getAreaOfInterestSummary(area, now));
+  }
+
+  // Heatmap for a page/section (the current one by default), created on first use
+  getHeatmap(section = this.heatmapSection) {
+    if (!this.heatmaps.has(section)) {
+      this.heatmaps.set(section, new GazeHeatmap({
+        columns: this.config.heatmapColumns,
+        rows: this.config.heatmapRows,
+        blurRadius: this.config.heatmapBlur,
+      }));
+    }
+    return this.heatmaps.get(section);
+  }
+
+  // Switch the heatmap new gaze points go to, e.g. on navigation; earlier sections are kept
+  setHeatmapSection(section) {
+    this.heatmapSection = section;
+    this.getHeatmap(section);
+    this.log(`Heatmap section changed to "${section}"`, "info");
+  }
+
+  getHeatmapSections() {
+    return Array.from(this.heatmaps.keys());
+  }
+
+  resetHeatmap(section = this.heatmapSection) {
+    if (this.heatmaps.has(section)) {
+      this.heatmaps.get(section).reset();
+      this.log(`Heatmap "${section}" reset`, "info");
+    }
+  }
+
+  // Add the primary face's gaze position, weighted by confidence and the time since the previous sample
+  updateHeatmap(gazeData, gazeState) {
+    const now = this.now();
+    const previous = this.lastHeatmapSample;
+    this.lastHeatmapSample = now;
+
+    if (!this.config.trackHeatmap || gazeState !== "screen") return;
+
+    // Cap the duration so a stall or pause doesn't dump seconds onto one point
+    const duration = previous !== null ? Math.min(now - previous, 500) : 1000 / this.config.targetFps;
+    const position = this.getGazePosition(gazeData);
+    this.getHeatmap().addPoint(position.x, position.y, gazeData.confidence * duration);
+  }
+
+  // Smooth gaze detection
+  smoothGazeDetection(currentGaze, history) {
+    if (!currentGaze) return "unknown";
+
+    history.push(currentGaze.direction);
+    while (history.length > this.config.gazeHistorySize) {
+      history.shift();
+    }
+
+    const gazeCounts = history.reduce((acc, gaze) => {
+      acc[gaze] = (acc[gaze] || 0) + 1;
+      return acc;
+    }, {});
+
+    return Object.keys(gazeCounts).reduce((a, b) =>
+      gazeCounts[a] > gazeCounts[b] ? a : b
+    );
+  }
+
+  createGazeFilters() {
+    try {
+      return new GazeSignalFilters(this.config.gazeFilter, this.config.gazeFilterParams);
+    } catch (error) {
+      this.log(`${error.message} - gaze filtering disabled`, "error");
+      this.config.gazeFilter = "none";
+      return new GazeSignalFilters("none");
+    }
+  }
+
+  createGazeDwell() {
+    return { state: null, candidate: null, since: null };
+  }
+
+  // Minimum dwell: a changed gaze state is only reported once it has held for gazeMinDwell ms
+  applyGazeDwell(gazeState, dwell, now) {
+    if (this.config.gazeMinDwell <= 0 || dwell.state === null || gazeState === dwell.state) {
+      dwell.state = gazeState;
+      dwell.candidate = null;
+      return gazeState;
+    }
+
+    if (gazeState !== dwell.candidate) {
+      dwell.candidate = gazeState;
+      dwell.since = now;
+    }
+    if (now - dwell.since >= this.config.gazeMinDwell) {
+      dwell.state = gazeState;
+      dwell.candidate = null;
+    }
+    return dwell.state;
+  }
+
+  // frameSkip: true for every Nth camera frame, counting the rest as skipped. Called before
+  // inference, so skipped frames cost nothing; frames handed to processResults() are always analyzed.
+  shouldProcessFrame() {
+    this.frameSkipCounter = (this.frameSkipCounter + 1) % this.config.frameSkip;
+    if (this.frameSkipCounter !== 0) {
+      this.framesSkipped++;
+      return false;
+    }
+    return true;
+  }
+
+  // Analyze one frame of detector output: { detections, multiFaceLandmarks } in normalized coordinates.
+  // Detections are derived from the landmarks when missing. Passing a timestamp (ms) makes frame
+  // timestamps the clock, for landmark streams captured elsewhere; without one the wall clock is used.
+  processResults(results, timestamp) {
+    if (timestamp !== undefined) {
+      if (this.virtualTime === null) {
+        // Implicit switch - only worth a warning when frames were already timed on the wall clock
+        if (this.lastFaceCount >= 0) {
+          this.log("Frame timestamps start a new session: tracking state and session log from the wall clock are discarded. Call useFrameClock() before the first frame to switch explicitly", "warning");
+        }
+        this.useFrameClock(timestamp);
+      }
+      this.virtualTime = timestamp;
+    }
+
+    const multiFaceLandmarks = results.multiFaceLandmarks || [];
+    const frame = {
+      detections: results.detections ||
+        multiFaceLandmarks.map((landmarks) => GazerBackend.detectionFromLandmarks(landmarks)),
+      multiFaceLandmarks,
+    };
+
+    if (this.recorder && !this.recorder.addFrame(this.now(), frame)) {
+      this.log("Recording frame limit reached", "warning");
+      this.stopRecording();
+    }
+
+    this.onFaceDetectionResults({ detections: frame.detections });
+    this.onFaceMeshResults({ multiFaceLandmarks: frame.multiFaceLandmarks });
+    this.updateIncidents();
+    this.trackingDataPending = true;
+
+    // Without a running timer, interval posting follows the frame clock
+    if (!this.trackingDataTimer) {
+      this.postTrackingDataIfDue();
+    }
+
+    return frame;
+  }
+
+  // Handle face detection results
+  onFaceDetectionResults(results) {
+    // Update performance tracking
+    this.frameCounter++;
+    const now = this.now();
+    if (now - this.lastFrameTime >= 1000) {
+      this.processingFps = this.frameCounter;
+      this.frameCounter = 0;
+      this.lastFrameTime = now;
+    }
+
+    this.currentFaces = results.detections || results.faces || [];
+
+    // Check for idle state
+    if (this.config.pauseOnIdle) {
+      if (this.currentFaces.length === 0) {
+        if (!this.isIdle && now - this.lastIdleTime > this.config.idleTimeout) {
+          this.isIdle = true;
+          this.log("Entering idle mode (no faces detected)", "info");
+          this.emit("idle");
+        }
+      } else {
+        if (this.isIdle) {
+          this.isIdle = false;
+          this.log("Exiting idle mode (faces detected)", "info");
+          this.emit("resume");
+        }
+        this.lastIdleTime = now;
+      }
+    }
+
+    if (this.isIdle && this.config.pauseOnIdle) {
+      return;
+    }
+
+    // Update canvas
+    const shouldUpdateCanvas =
+      !this.config.reducedCanvas ||
+      this.currentFaces.length !== this.lastFaceCount ||
+      Math.abs(now - this.lastFrameTime) > 500;
+
+    if (shouldUpdateCanvas) {
+      this.renderOverlay(this.currentFaces);
+    }
+
+    this.updateStats(this.currentFaces);
+  }
+
+  // Handle face mesh results
+  onFaceMeshResults(results) {
+    this.currentMeshResults = results;
+
+    if (this.isIdle && this.config.pauseOnIdle) {
+      return;
+    }
+
+    const now = this.now();
+    const tracking = this.faceTracker.update(results.multiFaceLandmarks || [], now);
+    this.updateTrackedFaces(tracking, now);
+
+    // The longest-tracked visible face drives the single-person outputs
+    const primary = tracking.visible.reduce((oldest, face) => (!oldest || face.id < oldest.id ? face : oldest), null);
+    this.primaryFaceId = primary ? primary.id : null;
+
+    if (primary) {
+      tracking.visible.forEach((face) => {
+        const gazeData = this.calculateGazeDirection(face.landmarks, face.gazeFilters);
+        if (!gazeData) return;
+        gazeData.faceId = face.id;
+
+        if (face === primary) {
+          this.processPrimaryFace(face, gazeData, now);
+        } else {
+          this.updateFaceGazeStatus(face, this.smoothFaceGaze(face, gazeData, now), gazeData, now);
+        }
+
+        this.drawGazeIndicators(face.landmarks, gazeData);
+      });
+    } else {
+      this.clearPrimaryFace();
+    }
+  }
+
+  // No face - a closure or fixation can't continue across frames we can't see
+  clearPrimaryFace() {
+    this.eyeClosureStart = null;
+    this.flushEyeMovements();
+    this.updateAreasOfInterest(null);
+    this.updateGazeStatus("unknown", null);
+  }
+
+  // Frames stopped without an empty frame to end the current state (the camera was lost): close the
+  // gaze state, face count, tracked faces and open incidents instead of leaving them at the last frame.
+  // The time until resumeTracking() is camera lost time, not away time.
+  suspendTracking() {
+    if (this.cameraLostStartTime !== null) return;
+
+    const now = this.now();
+    this.cameraLostStartTime = now;
+
+    if (this.awayStartTime !== null) {
+      this.totalAwayTime += now - this.awayStartTime;
+      this.awayStartTime = null;
+    }
+    this.clearPrimaryFace();
+
+    this.faceTracker.tracks.forEach((face) => {
+      face.visible = false;
+      face.landmarks = null;
+      this.updateFaceGazeStatus(face, "unknown", null, now);
+      this.log(`Face #${face.id} lost`, "info");
+      this.emit("faceLost", this.getFaceSummary(face, now));
+    });
+    // Drop the tracks but keep counting IDs, so faces found after the camera returns get new ones
+    this.faceTracker.tracks = [];
+    this.primaryFaceId = null;
+
+    this.currentFaces = [];
+    this.currentMeshResults = null;
+    if (this.faceCount !== 0) {
+      this.faceCountChanges++;
+      if (this.stream) {
+        this.stream.send("faces", { count: 0, previous: this.faceCount }, now);
+      }
+      this.faceCount = 0;
+      this.emit("faceDetected", []);
+    }
+    this.lastFaceCount = 0;
+
+    this.flushIncidents();
+  }
+
+  resumeTracking() {
+    if (this.cameraLostStartTime === null) return;
+
+    this.totalCameraLostTime += this.now() - this.cameraLostStartTime;
+    this.cameraLostStartTime = null;
+  }
+
+  getCameraLostTime(now = this.now()) {
+    let cameraLostTime = this.totalCameraLostTime;
+    if (this.cameraLostStartTime !== null) {
+      cameraLostTime += now - this.cameraLostStartTime;
+    }
+    return cameraLostTime;
+  }
+
+  // Smoothed gaze state of one face: majority vote over its recent frames, then the minimum dwell
+  smoothFaceGaze(face, gazeData, now) {
+    // A blink distorts the eye landmarks - hold the current state rather than vote with it
+    if (gazeData.blinking && face.gazeState) {
+      return face.gazeState;
+    }
+    return this.applyGazeDwell(this.smoothGazeDetection(gazeData, face.gazeHistory), face.gazeDwell, now);
+  }
+
+  // Start smoothing afresh for every tracked face, e.g. after a classification change
+  resetGazeSmoothing() {
+    this.faceTracker.tracks.forEach((face) => {
+      face.gazeHistory = [];
+      face.gazeDwell = this.createGazeDwell();
+    });
+  }
+
+  // Single-person analysis for the primary face: calibration, blinks, drowsiness, retina and overall gaze state.
+  // The overall state is the face's own smoothed state, so it follows whichever face is primary.
+  processPrimaryFace(face, gazeData, now) {
+    const landmarks = face.landmarks;
+
+    // Feed an active calibration, then map to screen coordinates if calibrated
+    if (this.calibrationSession) {
+      this.collectCalibrationSample(gazeData);
+    }
+    gazeData.gazePoint = this.predictGazePoint(gazeData);
+    if (gazeData.gazePoint) {
+      this.emit("gazePoint", gazeData.gazePoint, gazeData);
+    }
+
+    this.updateBlinkState(landmarks, gazeData);
+    this.updateDrowsiness(landmarks, gazeData);
+    this.updateEyeMovements(gazeData);
+
+    let smoothedGaze = this.smoothFaceGaze(face, gazeData, now);
+
+    // Closed eyes aren't watching the screen, however frontal the face is
+    if (this.isDrowsinessAway(this.drowsinessLevel)) {
+      smoothedGaze = "away";
+    }
+    this.updateFaceGazeStatus(face, smoothedGaze, gazeData, now);
+    
+    // Record retina position if tracking is enabled
+    this.recordRetinaPosition(gazeData);
+    
+    this.updateGazeStatus(smoothedGaze, gazeData);
+    
+    // Areas of interest need a calibrated point; hold them and the heatmap during a blink
+    if (!gazeData.blinking) {
+      this.updateAreasOfInterest(smoothedGaze === "screen" ? gazeData.gazePoint : null);
+      this.updateHeatmap(gazeData, smoothedGaze);
+    }
+  }
+
+  // Set up per-face state for new tracks, close out dropped ones and time hidden ones
+  updateTrackedFaces(tracking, now) {
+    tracking.added.forEach((face) => {
+      face.gazeHistory = [];
+      face.gazeFilters = this.createGazeFilters();
+      face.gazeDwell = this.createGazeDwell();
+      face.gazeState = null;
+      face.gazeData = null;
+      face.distractedStartTime = null;
+      face.totalDistractedTime = 0;
+      face.awayStartTime = null;
+      face.totalAwayTime = 0;
+
+      this.log(`Face #${face.id} tracked`, "info");
+      this.emit("faceTracked", this.getFaceSummary(face, now));
+    });
+
+    this.faceTracker.tracks.forEach((face) => {
+      if (!face.visible) {
+        this.updateFaceGazeStatus(face, "unknown", null, now);
+      }
+    });
+
+    tracking.removed.forEach((face) => {
+      this.updateFaceGazeStatus(face, "unknown", null, now);
+
+      this.log(`Face #${face.id} lost`, "info");
+      this.emit("faceLost", this.getFaceSummary(face, now));
+    });
+  }
+
+  // Per-face equivalent of updateGazeStatus: state changes plus away/distracted timers
+  updateFaceGazeStatus(face, gazeState, gazeData, now) {
+    face.gazeData = gazeData;
+
+    if (gazeState !== face.gazeState) {
+      face.gazeState = gazeState;
+      this.emit("faceGazeChange", this.getFaceSummary(face, now), gazeState, gazeData);
+    }
+
+    // Away = face not visible, distracted = visible but looking away
+    const isAway = !face.visible;
+    if (isAway && face.awayStartTime === null) {
+      face.awayStartTime = now;
+    } else if (!isAway && face.awayStartTime !== null) {
+      face.totalAwayTime += now - face.awayStartTime;
+      face.awayStartTime = null;
+    }
+
+    const isDistracted = gazeState === "away";
+    if (isDistracted && face.distractedStartTime === null) {
+      face.distractedStartTime = now;
+    } else if (!isDistracted && face.distractedStartTime !== null) {
+      face.totalDistractedTime += now - face.distractedStartTime;
+      face.distractedStartTime = null;
+    }
+  }
+
+  // Public snapshot of a tracked face
+  getFaceSummary(face, now = this.now()) {
+    let awayTime = face.totalAwayTime;
+    if (face.awayStartTime !== null) {
+      awayTime += now - face.awayStartTime;
+    }
+
+    let distractedTime = face.totalDistractedTime;
+    if (face.distractedStartTime !== null) {
+      distractedTime += now - face.distractedStartTime;
+    }
+
+    return {
+      id: face.id,
+      isPrimary: face.id === this.primaryFaceId,
+      visible: face.visible,
+      gazeState: face.gazeState,
+      boundingBox: { ...face.boundingBox },
+      firstSeen: face.firstSeen,
+      lastSeen: face.lastSeen,
+      trackedTime: Math.floor((now - face.firstSeen) / 1000),
+      awayTime: Math.floor(awayTime / 1000),
+      distractedTime: Math.floor(distractedTime / 1000),
+    };
+  }
+
+  // Summaries of all currently tracked faces
+  getFaceStats(now = this.now()) {
+    return this.faceTracker.tracks.map((face) => this.getFaceSummary(face, now));
+  }
+
+  // Update gaze status
+  updateGazeStatus(gazeState, gazeData) {
+    const now = this.now();
+
+    if (gazeState !== this.lastGazeState) {
+      if (gazeState === "screen") {
+        this.log("Person looking at screen", "gaze");
+      } else if (gazeState === "away") {
+        this.log("Person looking away from screen", "gaze");
+      } else {
+        this.log("Gaze direction unknown", "info");
+      }
+      this.logGazeTransition(this.lastGazeState, gazeState, now);
+      if (this.stream) {
+        this.stream.send("gaze", {
+          state: gazeState,
+          previous: this.lastGazeState,
+          confidence: gazeData ? gazeData.confidence : null,
+        }, now);
+      }
+      this.lastGazeState = gazeState;
+
+      this.emit("gazeChange", gazeState, gazeData);
+    }
+
+    // Track distracted time
+    const isDistracted = gazeState === "away";
+
+    if (isDistracted && this.distractedStartTime === null) {
+      this.distractedStartTime = now;
+    } else if (!isDistracted && this.distractedStartTime !== null) {
+      this.totalDistractedTime += now - this.distractedStartTime;
+      this.distractedStartTime = null;
+    }
+
+    let currentDistractedTime = this.totalDistractedTime;
+    if (this.distractedStartTime !== null) {
+      currentDistractedTime += now - this.distractedStartTime;
+    }
+  }
+
+  // Overlay drawing hooks - no-ops without a DOM; the browser Gazer draws onto its canvas
+  renderOverlay(faces) {}
+
+  drawGazeIndicators(landmarks, gazeData) {}
+
+  // Evidence snapshot hook - the browser Gazer captures the current frame
+  requestSnapshot(type, details) {}
+
+  // Update statistics
+  updateStats(faces) {
+    const now = this.now();
+    this.faceCount = faces.length;
+    const isAway = this.faceCount === 0;
+
+    if (this.faceCount !== this.lastFaceCount) {
+      // Increment face count change counter
+      this.faceCountChanges++;
+      
+      if (this.stream) {
+        this.stream.send("faces", {
+          count: this.faceCount,
+          previous: this.lastFaceCount >= 0 ? this.lastFaceCount : null,
+        }, now);
+      }
+      
+      if (this.faceCount === 0) {
+        this.log("No person detected (looking away or left)", "warning");
+      } else if (this.faceCount > 1) {
+        this.log(`Multiple people detected (${this.faceCount} faces)`, "info");
+      } else if (this.faceCount === 1 && this.lastFaceCount !== 1) {
+        this.log("Person detected and present", "success");
+      }
+      if (this.lastFaceCount >= 0) {
+        this.requestSnapshot("faceCountChange", { faceCount: this.faceCount, previous: this.lastFaceCount });
+      }
+      this.lastFaceCount = this.faceCount;
+
+      this.emit("faceDetected", faces);
+    }
+
+    let avgConfidence = 0;
+    if (faces.length > 0) {
+      let totalConfidence = 0;
+      faces.forEach((face) => {
+        if (face.score && face.score.length > 0) {
+          totalConfidence += face.score[0];
+        } else if (face.score) {
+          totalConfidence += face.score;
+        } else if (face.confidence) {
+          totalConfidence += face.confidence;
+        } else {
+          totalConfidence += 0.85;
+        }
+      });
+      avgConfidence = totalConfidence / faces.length;
+    }
+
+    if (isAway && this.awayStartTime === null) {
+      this.awayStartTime = now;
+    } else if (!isAway && this.awayStartTime !== null) {
+      this.totalAwayTime += now - this.awayStartTime;
+      this.awayStartTime = null;
+    }
+
+    let currentAwayTime = this.totalAwayTime;
+    if (this.awayStartTime !== null) {
+      currentAwayTime += now - this.awayStartTime;
+    }
+
+    let currentDistractedTime = this.totalDistractedTime;
+    if (this.distractedStartTime !== null) {
+      currentDistractedTime += now - this.distractedStartTime;
+    }
+
+    const drowsinessTimes = this.getDrowsinessTimes(now);
+
+    const stats = {
+      faceCount: this.faceCount,
+      awayTime: Math.floor(currentAwayTime / 1000),
+      distractedTime: Math.floor(currentDistractedTime / 1000),
+      confidence: Math.round(avgConfidence * 100),
+      processingFps: this.processingFps,
+      framesSkipped: this.framesSkipped,
+      canvasUpdates: this.canvasUpdates,
+      gazeState: this.lastGazeState,
+      isIdle: this.isIdle,
+      faceCountChanges: this.faceCountChanges,
+      blinkCount: this.totalBlinks,
+      blinkRate: this.getBlinkRate(now),
+      drowsinessLevel: this.drowsinessLevel,
+      perclos: Math.round(this.calculatePerclos(now) * 1000) / 1000,
+      longEyeClosures: this.totalLongEyeClosures,
+      drowsyTime: Math.floor(drowsinessTimes.drowsyTime / 1000),
+      asleepTime: Math.floor(drowsinessTimes.asleepTime / 1000),
+      cameraLostTime: Math.floor(this.getCameraLostTime(now) / 1000),
+      fixationCount: this.totalFixations,
+      saccadeCount: this.totalSaccades,
+      incidentCount: this.totalIncidents,
+      activeIncidents: this.incidentRules.getActiveIncidents(now).map((incident) => ({ ...incident })),
+      faces: this.getFaceStats(now),
+      retinaLocationCount: this.config.trackRetinaLocations ? this.retinaLocations.length : 0
+    };
+
+    if (this.stream) {
+      this.stream.sendStats(stats, now);
+    }
+
+    this.emit("statsUpdate", stats);
+  }
+
+  // Start tracking data timer
+  startTrackingDataTimer() {
+    if (this.config.postTrackingDataInterval <= 0 || !this.needsTrackingData()) {
+      return;
+    }
+
+    this.stopTrackingDataTimer(); // Clear any existing timer
+    
+    const intervalMs = this.config.postTrackingDataInterval * 1000;
+    this.trackingDataTimer = setInterval(() => {
+      this.postTrackingData();
+    }, intervalMs);
+    
+    this.log(`Tracking data timer started - posting every ${this.config.postTrackingDataInterval} seconds`, "info");
+  }
+
+  // Stop tracking data timer
+  stopTrackingDataTimer() {
+    if (this.trackingDataTimer) {
+      clearInterval(this.trackingDataTimer);
+      this.trackingDataTimer = null;
+      this.log("Tracking data timer stopped", "info");
+    }
+  }
+
+  // Interval data is collected for tracking data listeners and for the session log
+  needsTrackingData() {
+    return this.hasListeners("postTrackingData") || this.config.sessionLog || this.transport !== null;
+  }
+
+  // Post tracking data via callback
+  postTrackingData() {
+    if (!this.needsTrackingData()) {
+      return;
+    }
+
+    const now = this.now();
+    if (this.config.sessionLog) {
+      this.appendSessionLog(this.sessionLog.intervals, this.buildIntervalRecord(now));
+    }
+    
+    let currentAwayTime = this.totalAwayTime;
+    if (this.awayStartTime !== null) {
+      currentAwayTime += now - this.awayStartTime;
+    }
+
+    let currentDistractedTime = this.totalDistractedTime;
+    if (this.distractedStartTime !== null) {
+      currentDistractedTime += now - this.distractedStartTime;
+    }
+
+    const drowsinessTimes = this.getDrowsinessTimes(now);
+
+    const trackingData = {
+      timestamp: now,
+      sessionDuration: Math.floor((now - this.lastTrackingDataPost) / 1000),
+      faceCountChanges: this.faceCountChanges,
+      totalAwayTime: Math.floor(currentAwayTime / 1000),
+      totalDistractedTime: Math.floor(currentDistractedTime / 1000),
+      currentFaceCount: this.faceCount,
+      currentGazeState: this.lastGazeState,
+      processingFps: this.processingFps,
+      framesSkipped: this.framesSkipped,
+      canvasUpdates: this.canvasUpdates,
+      isRunning: this.isRunning,
+      isIdle: this.isIdle,
+      blinkCount: this.intervalBlinks,
+      blinkRate: this.getBlinkRate(now),
+      drowsinessLevel: this.drowsinessLevel,
+      perclos: Math.round(this.calculatePerclos(now) * 1000) / 1000,
+      longEyeClosures: this.intervalLongEyeClosures,
+      totalDrowsyTime: Math.floor(drowsinessTimes.drowsyTime / 1000),
+      totalAsleepTime: Math.floor(drowsinessTimes.asleepTime / 1000),
+      totalCameraLostTime: Math.floor(this.getCameraLostTime(now) / 1000),
+      faces: this.getFaceStats(now),
+      fixations: [...this.fixations],
+      saccades: [...this.saccades],
+      areasOfInterest: this.getAreasOfInterest(now),
+      incidents: this.getIntervalIncidents(now),
+      snapshots: [...this.intervalSnapshots],
+      retinaLocations: this.config.trackRetinaLocations ? [...this.retinaLocations] : []
+    };
+
+    this.log(`Posting tracking data - Face changes: ${this.faceCountChanges}, Away time: ${trackingData.totalAwayTime}s, Distracted time: ${trackingData.totalDistractedTime}s, Fixations: ${trackingData.fixations.length}, Retina locations: ${trackingData.retinaLocations.length}`, "info");
+    
+    // Reset counters for next interval
+    this.faceCountChanges = 0;
+    this.intervalBlinks = 0;
+    this.intervalLongEyeClosures = 0;
+    this.fixations = [];
+    this.saccades = [];
+    this.intervalIncidents = new Set(this.incidentRules.getActiveIncidents(now));
+    this.intervalSnapshots = [];
+    this.lastTrackingDataPost = now;
+    this.trackingDataPending = false;
+    
+    // Reset retina locations array for next interval
+    if (this.config.trackRetinaLocations) {
+      this.retinaLocations = [];
+    }
+    
+    // Queue for the HTTP transport before handlers can modify the object
+    if (this.transport) {
+      this.transport.enqueue(trackingData);
+    }
+
+    // Call the callback and listeners with the tracking data
+    this.emit("postTrackingData", trackingData);
+  }
+
+  createTransport() {
+    if (this.transport) {
+      this.transport.close();
+    }
+
+    this.transport = new TrackingDataTransport({
+      url: this.config.postTrackingDataUrl,
+      headers: this.config.postTrackingDataHeaders,
+      auth: this.config.postTrackingDataAuth,
+      batchSize: this.config.postTrackingDataBatchSize,
+      retryDelay: this.config.postTrackingDataRetryDelay,
+      maxRetryDelay: this.config.postTrackingDataMaxRetryDelay,
+      maxQueueSize: this.config.postTrackingDataMaxQueueSize,
+      storage: this.config.postTrackingDataQueue,
+      onSent: (records) => this.emit("trackingDataSent", records),
+      onError: (error) => this.emit("error", error),
+      onUnload: () => this.postPendingTrackingData(),
+      log: (message, type) => this.log(message, type),
+    });
+    this.log(`Posting tracking data to ${this.config.postTrackingDataUrl}`, "info");
+  }
+
+  createStream() {
+    if (this.stream) {
+      this.stream.close("replaced");
+    }
+
+    this.stream = new GazerStream({
+      url: this.config.streamUrl,
+      protocols: this.config.streamProtocols,
+      WebSocket: this.config.streamWebSocket,
+      metadata: this.config.streamMetadata,
+      statsInterval: this.config.streamStatsInterval,
+      maxBufferedAmount: this.config.streamMaxBufferedAmount,
+      maxQueueSize: this.config.streamMaxQueueSize,
+      reconnectDelay: this.config.streamReconnectDelay,
+      maxReconnectDelay: this.config.streamMaxReconnectDelay,
+      onStateChange: (state) => this.emit("streamStateChange", state),
+      now: () => this.now(),
+      log: (message, type) => this.log(message, type),
+    });
+  }
+
+  // "connecting", "open" or "closed" ("closed" without a stream)
+  getStreamState() {
+    return this.stream ? this.stream.getState() : "closed";
+  }
+
+  // Post the interval in progress if any frames were processed since the last post
+  postPendingTrackingData() {
+    if (this.trackingDataPending) {
+      this.postTrackingData();
+    }
+  }
+
+  // Send queued tracking data now instead of waiting for the next retry
+  flushTrackingData() {
+    return this.transport ? this.transport.retryNow() : Promise.resolve();
+  }
+
+  // Number of tracking data records waiting for delivery
+  getTrackingDataQueueSize() {
+    return this.transport ? this.transport.getQueueSize() : 0;
+  }
+
+  // Incidents open at some point during the current interval, copied so later updates don't change the payload
+  getIntervalIncidents(now = this.now()) {
+    this.incidentRules.getActiveIncidents(now); // brings durationMs of open incidents up to date
+    return [...this.intervalIncidents].map((incident) => ({ ...incident }));
+  }
+
+  // Start a new session log; export() covers everything logged since
+  clearSessionLog() {
+    this.sessionLog = {
+      startTime: this.now(),
+      intervals: [],
+      gazeTransitions: [],
+      retinaLocations: [],
+      droppedRecords: 0,
+    };
+  }
+
+  // Add a record to one of the session log lists, dropping the oldest beyond sessionLogMaxRecords
+  appendSessionLog(list, record) {
+    list.push(record);
+    if (list.length > this.config.sessionLogMaxRecords) {
+      list.shift();
+      this.sessionLog.droppedRecords++;
+    }
+  }
+
+  logGazeTransition(from, to, now) {
+    if (this.config.sessionLog) {
+      this.appendSessionLog(this.sessionLog.gazeTransitions, {
+        timestamp: now,
+        from,
+        to,
+        previousStateMs: this.lastGazeChangeTime !== null ? now - this.lastGazeChangeTime : null,
+      });
+    }
+    this.lastGazeChangeTime = now;
+  }
+
+  // Summary of the current interval with explicit units. Doesn't reset anything.
+  buildIntervalRecord(now = this.now(), partial = false) {
+    let awayTime = this.totalAwayTime;
+    if (this.awayStartTime !== null) {
+      awayTime += now - this.awayStartTime;
+    }
+
+    let distractedTime = this.totalDistractedTime;
+    if (this.distractedStartTime !== null) {
+      distractedTime += now - this.distractedStartTime;
+    }
+
+    const drowsinessTimes = this.getDrowsinessTimes(now);
+
+    return {
+      start: this.lastTrackingDataPost,
+      end: now,
+      durationMs: now - this.lastTrackingDataPost,
+      partial,
+      faceCount: this.faceCount,
+      faceCountChanges: this.faceCountChanges,
+      gazeState: this.lastGazeState,
+      totalAwayMs: Math.round(awayTime),
+      totalDistractedMs: Math.round(distractedTime),
+      blinkCount: this.intervalBlinks,
+      blinkRatePerMin: this.getBlinkRate(now),
+      drowsinessLevel: this.drowsinessLevel,
+      perclos: Math.round(this.calculatePerclos(now) * 1000) / 1000,
+      longEyeClosures: this.intervalLongEyeClosures,
+      totalDrowsyMs: Math.round(drowsinessTimes.drowsyTime),
+      totalAsleepMs: Math.round(drowsinessTimes.asleepTime),
+      totalCameraLostMs: Math.round(this.getCameraLostTime(now)),
+      fixationCount: this.fixations.length,
+      saccadeCount: this.saccades.length,
+      retinaLocationCount: this.retinaLocations.length,
+      processingFps: this.processingFps,
+    };
+  }
+
+  // The session log in the versioned export schema. The interval in progress is included with partial: true.
+  getSessionData() {
+    const now = this.now();
+    return {
+      schema: GAZER_SESSION_SCHEMA.name,
+      schemaVersion: GAZER_SESSION_SCHEMA.version,
+      exportedAt: new Date().toISOString(),
+      units: { ...GAZER_SESSION_SCHEMA.units },
+      session: {
+        startTime: this.sessionLog.startTime,
+        endTime: now,
+        durationMs: now - this.sessionLog.startTime,
+        clock: this.virtualTime !== null ? "frames" : "wall",
+        droppedRecords: this.sessionLog.droppedRecords,
+      },
+      intervals: [...this.sessionLog.intervals, this.buildIntervalRecord(now, true)],
+      gazeTransitions: [...this.sessionLog.gazeTransitions],
+      retinaLocations: [...this.sessionLog.retinaLocations],
+    };
+  }
+
+  // Serialize the session log as "json" (versioned session schema), "ndjson" (a session header line,
+  // then one typed record per line) or "csv" (one table, chosen with options.table).
+  export(format = "json", options = {}) {
+    if (!this.config.sessionLog) {
+      this.log("Session log is disabled - export() only contains the current interval", "warning");
+    }
+
+    const data = this.getSessionData();
+    const { table = "intervals" } = options;
+
+    switch (format) {
+      case "json":
+        return JSON.stringify(data, null, options.space);
+      case "ndjson": {
+        const header = { type: "session", schema: data.schema, schemaVersion: data.schemaVersion, exportedAt: data.exportedAt, units: data.units, ...data.session };
+        const lines = [header];
+        data.intervals.forEach((record) => lines.push({ type: "interval", ...record }));
+        data.gazeTransitions.forEach((record) => lines.push({ type: "gazeTransition", ...record }));
+        data.retinaLocations.forEach((record) => lines.push({ type: "retinaLocation", ...record }));
+        return lines.map((line) => JSON.stringify(line)).join("\n") + "\n";
+      }
+      case "csv":
+        if (!["intervals", "gazeTransitions", "retinaLocations"].includes(table)) {
+          throw new Error(`Unknown export table "${table}". Available: intervals, gazeTransitions, retinaLocations`);
+        }
+        return this.toCsv(data[table]);
+      default:
+        throw new Error(`Unknown export format "${format}". Available: json, ndjson, csv`);
+    }
+  }
+
+  // RFC 4180 CSV with a header row of all keys; null becomes an empty cell
+  toCsv(records) {
+    const columns = [];
+    records.forEach((record) => {
+      Object.keys(record).forEach((key) => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+
+    const cell = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(",")];
+    records.forEach((record) => {
+      lines.push(columns.map((column) => cell(record[column])).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // Store features from one analyzed frame while a calibration target is being sampled
+  collectCalibrationSample(gazeData) {
+    const collecting = this.calibrationSession.collecting;
+    if (!collecting) return;
+
+    const head = GazeCalibrationModel.extractFeatures(gazeData, "head");
+    if (!head) return;
+
+    collecting.samples.push({
+      head,
+      eye: GazeCalibrationModel.extractFeatures(gazeData, "eye"),
+    });
+  }
+
+  // Viewport the calibration maps onto - the one it was recorded on
+  getViewportSize() {
+    return this.calibration ? { ...this.calibration.viewport } : { width: 1, height: 1 };
+  }
+
+  // Map gaze data to a calibrated point on screen (null when not calibrated)
+  predictGazePoint(gazeData) {
+    if (!this.calibrationModel) return null;
+
+    const predicted = this.calibrationModel.predict(gazeData);
+    if (!predicted) return null;
+
+    const viewport = this.getViewportSize();
+    const normalizedX = Math.max(0, Math.min(1, predicted.x));
+    const normalizedY = Math.max(0, Math.min(1, predicted.y));
+
+    return {
+      x: Math.round(normalizedX * viewport.width),
+      y: Math.round(normalizedY * viewport.height),
+      normalizedX,
+      normalizedY,
+      confidence: gazeData.confidence,
+      timestamp: this.now(),
+    };
+  }
+
+  // Serializable calibration result (null when not calibrated)
+  getCalibration() {
+    return this.calibration ? JSON.parse(JSON.stringify(this.calibration)) : null;
+  }
+
+  // Restore a calibration previously returned by calibrate() or getCalibration()
+  setCalibration(calibration) {
+    if (!calibration || calibration.version !== 1 || !calibration.model || !calibration.model.weightsX) {
+      throw new GazerError(GAZER_ERROR_CODES.CALIBRATION_INVALID, "Invalid or unsupported calibration data");
+    }
+
+    this.calibration = JSON.parse(JSON.stringify(calibration));
+    this.calibrationModel = new GazeCalibrationModel(this.calibration.model);
+    this.log(`Calibration applied (${this.calibration.points} points)`, "info");
+  }
+
+  clearCalibration() {
+    this.calibration = null;
+    this.calibrationModel = null;
+    this.log("Calibration cleared", "info");
+  }
+
+  isCalibrated() {
+    return this.calibrationModel !== null;
+  }
+
+  // Reset all tracking states
+  resetTrackingState() {
+    this.faceCount = 0;
+    this.lastFaceCount = -1;
+    this.intervalSnapshots = [];
+    this.awayStartTime = null;
+    this.totalAwayTime = 0;
+    this.distractedStartTime = null;
+    this.totalDistractedTime = 0;
+    this.faceCountChanges = 0;
+    this.cameraLostStartTime = this.cameraLostStartTime !== null ? this.now() : null;
+    this.totalCameraLostTime = 0;
+    this.currentFaces = [];
+    this.lastGazeState = null;
+    this.frameCounter = 0;
+    this.framesSkipped = 0;
+    this.frameSkipCounter = -1; // So the first frame is processed
+    this.canvasUpdates = 0;
+    this.isIdle = false;
+    
+    // Reset face identities
+    this.faceTracker.reset();
+    this.primaryFaceId = null;
+    
+    // Reset blink, drowsiness and eye movement tracking
+    this.resetBlinkState();
+    this.resetDrowsinessState();
+    this.resetEyeMovementState();
+    this.resetIncidentState();
+    
+    // Reset area of interest stats (the areas stay registered)
+    this.resetAreaOfInterestStats();
+    
+    // Heatmaps keep their data; only the sample timing restarts
+    this.lastHeatmapSample = null;
+    
+    // Reset retina tracking
+    this.retinaLocations = [];
+    this.lastRetinaPosition = null;
+    this.lastRetinaLocationRecord = this.now();
+    
+    // Restart interval timing
+    this.lastTrackingDataPost = this.now();
+    this.trackingDataPending = false;
+    this.lastGazeChangeTime = null;
+    this.lastFrameTime = this.now();
+    this.lastIdleTime = this.now();
+  }
+
+  // Start capturing per-frame detector output for later replay
+  startRecording(options = {}) {
+    const { width, height } = this.getFrameSize();
+
+    this.recorder = new SessionRecorder({
+      frameWidth: width,
+      frameHeight: height,
+      ...options,
+    });
+    this.log("Session recording started", "info");
+  }
+
+  // Stop recording and return the recording (null if none was in progress)
+  stopRecording() {
+    if (!this.recorder) return null;
+
+    const recording = this.recorder.toJSON();
+    this.recorder = null;
+    this.log(`Session recording stopped (${recording.frames.length} frames)`, "info");
+    return recording;
+  }
+
+  isRecording() {
+    return this.recorder !== null;
+  }
+
+  // Feed a recording back through the analysis pipeline on a virtual clock, using the current config.
+  // Emits the same events as a live session and resolves with the final stats.
+  async replay(recording, options = {}) {
+    if (this.isRunning) {
+      throw new Error("Stop live tracking before replaying a recording");
+    }
+    if (this.isOffline) {
+      throw new Error("Replay or video analysis already in progress");
+    }
+    if (!recording || recording.format !== "gazer-recording" || recording.version !== 1 || !Array.isArray(recording.frames)) {
+      throw new GazerError(GAZER_ERROR_CODES.RECORDING_INVALID, "Invalid or unsupported recording");
+    }
+
+    const { speed = 0, onProgress = null } = options; // speed 0 = as fast as possible, 1 = real time
+    const startTime = recording.startTime || 0;
+
+    this.beginOfflineSession(startTime, recording.frameWidth && recording.frameHeight
+      ? { width: recording.frameWidth, height: recording.frameHeight }
+      : null);
+    this.log(`Replaying recording (${recording.frames.length} frames)`, "info");
+
+    try {
+      for (let i = 0; i < recording.frames.length; i++) {
+        const frame = recording.frames[i];
+
+        if (speed > 0 && i > 0) {
+          const delay = (frame.t - recording.frames[i - 1].t) / speed;
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+
+        this.processResults(SessionRecorder.decodeFrame(frame), startTime + frame.t);
+
+        if (onProgress) {
+          onProgress(i + 1, recording.frames.length);
+        }
+      }
+
+      this.flushEyeMovements();
+      this.flushIncidents();
+      const stats = this.getStats();
+      this.log("Replay finished", "success");
+      return stats;
+    } finally {
+      this.endOfflineSession();
+    }
+  }
+
+  // Measure time on frame timestamps (ms) from startTime on. Timers started on the wall clock are
+  // meaningless on the frame clock, so this resets the tracking state and the session log.
+  useFrameClock(startTime) {
+    this.virtualTime = startTime;
+    this.resetTrackingState();
+    this.clearSessionLog();
+  }
+
+  // Switch to a virtual clock starting at startTime for replay or video analysis
+  beginOfflineSession(startTime, frameSize) {
+    this.isOffline = true;
+    this.offlineFrameSize = frameSize;
+    this.useFrameClock(startTime);
+  }
+
+  endOfflineSession() {
+    this.virtualTime = null;
+    this.offlineFrameSize = null;
+    this.isOffline = false;
+  }
+
+  // Interval posting when no timer runs, measured on the frame clock
+  postTrackingDataIfDue() {
+    const postInterval = this.config.postTrackingDataInterval * 1000;
+    if (postInterval > 0 && this.needsTrackingData() &&
+        this.now() - this.lastTrackingDataPost >= postInterval) {
+      this.postTrackingData();
+    }
+  }
+
+  // Configuration methods
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    this.faceTracker.setOptions({
+      matchThreshold: this.config.faceMatchThreshold,
+      lostTimeout: this.config.faceLostTimeout,
+    });
+    this.log("Configuration updated", "info");
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  // NEW: Live control methods for HTML interface
+  setFrameRate(fps) {
+    const newFps = Math.max(5, Math.min(30, parseInt(fps)));
+    this.config.targetFps = newFps;
+    this.log(`Frame rate changed to ${newFps} FPS`, "info");
+  }
+
+  setFrameSkip(skip) {
+    const newSkip = Math.max(1, Math.min(5, parseInt(skip)));
+    this.config.frameSkip = newSkip;
+    this.log(`Frame skip changed to process every ${newSkip} frame(s)`, "info");
+  }
+
+  setPauseOnIdle(enabled) {
+    this.config.pauseOnIdle = Boolean(enabled);
+    this.log(`Pause on idle ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setReducedCanvas(enabled) {
+    this.config.reducedCanvas = Boolean(enabled);
+    this.log(`Reduced canvas updates ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setHorizontalThreshold(threshold) {
+    const newThreshold = Math.max(0.1, Math.min(1.0, parseFloat(threshold)));
+    this.config.horizontalThreshold = newThreshold;
+    this.log(`Horizontal gaze threshold changed to ${newThreshold}`, "info");
+  }
+
+  setVerticalThreshold(threshold) {
+    const newThreshold = Math.max(0.05, Math.min(0.5, parseFloat(threshold)));
+    this.config.verticalThreshold = newThreshold;
+    this.log(`Vertical gaze threshold changed to ${newThreshold}`, "info");
+  }
+
+  setMaxYaw(degrees) {
+    const newLimit = Math.max(5, Math.min(90, parseFloat(degrees)));
+    this.config.maxYaw = newLimit;
+    this.log(`Max head yaw changed to ${newLimit}°`, "info");
+  }
+
+  setMaxPitch(degrees) {
+    const newLimit = Math.max(5, Math.min(90, parseFloat(degrees)));
+    this.config.maxPitch = newLimit;
+    this.log(`Max head pitch changed to ${newLimit}°`, "info");
+  }
+
+  setGazeClassification(mode) {
+    if (!["headPose", "eyeGaze", "position"].includes(mode)) {
+      this.log(`Unknown gaze classification "${mode}". Available: headPose, eyeGaze, position`, "error");
+      return;
+    }
+    this.config.gazeClassification = mode;
+    this.resetGazeSmoothing();
+    this.log(`Gaze classification changed to "${mode}"`, "info");
+  }
+
+  setGazeHistorySize(size) {
+    const newSize = Math.max(2, Math.min(10, parseInt(size)));
+    this.config.gazeHistorySize = newSize;
+    // Clear existing history to apply new size immediately
+    this.resetGazeSmoothing();
+    this.log(`Gaze smoothing changed to ${newSize} frames`, "info");
+  }
+
+  // filter: a type name, or { gaze, eyeCenters, headPose } per signal group; params: options per type
+  setGazeFilter(filter, params) {
+    try {
+      GazeSignalFilters.normalize(filter);
+    } catch (error) {
+      this.log(error.message, "error");
+      return;
+    }
+    this.config.gazeFilter = filter;
+    if (params !== undefined) {
+      this.config.gazeFilterParams = params || {};
+    }
+    // Fresh filters, so no state carries over from the previous type
+    this.faceTracker.tracks.forEach((face) => {
+      face.gazeFilters = this.createGazeFilters();
+    });
+    this.log(`Gaze filter changed to ${JSON.stringify(filter)}`, "info");
+  }
+
+  setGazeHysteresis(fraction) {
+    const newFraction = Math.max(0, Math.min(0.9, parseFloat(fraction) || 0));
+    this.config.gazeHysteresis = newFraction;
+    this.log(`Gaze hysteresis changed to ${Math.round(newFraction * 100)}%`, "info");
+  }
+
+  setGazeMinDwell(ms) {
+    const newDwell = Math.max(0, parseInt(ms) || 0);
+    this.config.gazeMinDwell = newDwell;
+    this.log(`Minimum gaze dwell changed to ${newDwell}ms`, "info");
+  }
+
+  // Faces the detector looks for; takes effect on the next frame
+  setMaxNumFaces(count) {
+    const newCount = Math.max(1, Math.min(10, parseInt(count) || 1));
+    this.config.maxNumFaces = newCount;
+    Promise.resolve(this.applyDetectorOptions({ maxNumFaces: newCount })).catch((error) => {
+      this.log(`Could not change the number of faces: ${error.message}`, "warning");
+    });
+    this.log(`Max faces changed to ${newCount}`, "info");
+  }
+
+  setFaceMatchThreshold(threshold) {
+    const newThreshold = Math.max(0.05, Math.min(0.95, parseFloat(threshold)));
+    this.config.faceMatchThreshold = newThreshold;
+    this.faceTracker.setOptions({ matchThreshold: newThreshold });
+    this.log(`Face match threshold changed to ${newThreshold}`, "info");
+  }
+
+  setFaceLostTimeout(ms) {
+    const newTimeout = Math.max(0, parseInt(ms) || 0);
+    this.config.faceLostTimeout = newTimeout;
+    this.faceTracker.setOptions({ lostTimeout: newTimeout });
+    this.log(`Face lost timeout changed to ${newTimeout}ms`, "info");
+  }
+
+  setEnableLogs(enabled) {
+    this.config.enableLogs = Boolean(enabled);
+    this.log(`Console logging ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  // Retina tracking configuration methods
+  setTrackRetinaLocations(enabled) {
+    this.config.trackRetinaLocations = Boolean(enabled);
+    if (!enabled) {
+      this.retinaLocations = [];
+      this.lastRetinaPosition = null;
+    }
+    this.log(`Retina location tracking ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setRetinaLocationChangeThreshold(threshold) {
+    const newThreshold = Math.max(0.01, Math.min(1.0, parseFloat(threshold)));
+    this.config.retinaLocationChangeThreshold = newThreshold;
+    this.log(`Retina location change threshold set to ${(newThreshold * 100).toFixed(1)}%`, "info");
+  }
+
+  setRetinaLocationInterval(seconds) {
+    const newInterval = Math.max(1, parseInt(seconds));
+    this.config.retinaLocationInterval = newInterval;
+    this.log(`Retina location recording interval set to ${newInterval} seconds`, "info");
+  }
+
+  // Blink detection configuration methods
+  setDetectBlinks(enabled) {
+    this.config.detectBlinks = Boolean(enabled);
+    if (!enabled) {
+      this.eyesClosedSince = null;
+    }
+    this.log(`Blink detection ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setBlinkThreshold(threshold) {
+    const newThreshold = Math.max(0.05, Math.min(0.4, parseFloat(threshold)));
+    this.config.blinkThreshold = newThreshold;
+    this.log(`Blink eye aspect ratio threshold set to ${newThreshold}`, "info");
+  }
+
+  setDetectDrowsiness(enabled) {
+    this.config.detectDrowsiness = Boolean(enabled);
+    if (!enabled) {
+      this.eyeClosureStart = null;
+      this.eyeClosureSamples = [];
+      this.updateDrowsinessLevel("alert", { perclos: 0, closureDuration: 0 });
+    }
+    this.log(`Drowsiness detection ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setDrowsinessAway(level) {
+    if (!["asleep", "drowsy", "none"].includes(level)) {
+      this.log(`Unknown drowsiness away level "${level}". Available: asleep, drowsy, none`, "error");
+      return;
+    }
+    this.config.drowsinessAway = level;
+    this.log(`Drowsiness counted as away: ${level}`, "info");
+  }
+
+  // Replace the proctoring rules; open incidents of the old rules are closed
+  setRules(rules) {
+    const engine = new IncidentRulesEngine(rules || []);
+    this.flushIncidents();
+    this.config.rules = rules || [];
+    this.incidentRules = engine;
+    this.log(`${this.config.rules.length} proctoring rules set`, "info");
+  }
+
+  setSessionLog(enabled) {
+    this.config.sessionLog = Boolean(enabled);
+    if (!enabled) {
+      this.clearSessionLog();
+    }
+
+    // Intervals are logged on the tracking data timer
+    if (this.isRunning && this.config.postTrackingDataInterval > 0) {
+      if (this.needsTrackingData()) {
+        if (!this.trackingDataTimer) this.startTrackingDataTimer();
+      } else {
+        this.stopTrackingDataTimer();
+      }
+    }
+    this.log(`Session log ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setTrackHeatmap(enabled) {
+    this.config.trackHeatmap = Boolean(enabled);
+    this.log(`Heatmap tracking ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setDetectEyeMovements(enabled) {
+    this.config.detectEyeMovements = Boolean(enabled);
+    if (!enabled) {
+      this.flushEyeMovements();
+    }
+    this.log(`Fixation and saccade detection ${enabled ? 'enabled' : 'disabled'}`, "info");
+  }
+
+  setEyeMovementAlgorithm(algorithm) {
+    if (!["ivt", "idt"].includes(algorithm)) {
+      this.log(`Unknown eye movement algorithm "${algorithm}". Available: ivt, idt`, "error");
+      return;
+    }
+    this.flushEyeMovements();
+    this.config.eyeMovementAlgorithm = algorithm;
+    this.eyeMovementClassifier = this.createEyeMovementClassifier();
+    this.log(`Eye movement algorithm changed to "${algorithm}"`, "info");
+  }
+
+  // Set performance mode
+  setPerformanceMode(mode) {
+    if (!mode || mode === "manual") {
+      this.config.performanceMode = null;
+      this.performanceController = null;
+      this.log("Performance mode set to manual - use individual controls", "info");
+      return;
+    }
+    
+    if (!this.performancePresets[mode]) {
+      this.log(`Unknown performance mode "${mode}". Available modes: ${Object.keys(this.performancePresets).join(', ')}`, "error");
+      return;
+    }
+    
+    this.config.performanceMode = mode;
+    const preset = this.performancePresets[mode];
+    
+    // Apply preset settings
+    this.config.targetFps = preset.targetFps;
+    this.config.frameSkip = preset.frameSkip;
+    this.config.pauseOnIdle = preset.pauseOnIdle;
+    this.config.reducedCanvas = preset.reducedCanvas;
+    this.performanceController = mode === "auto" ? this.createPerformanceController() : null;
+    
+    this.log(`Performance mode changed to "${mode}": ${preset.description}`, "success");
+    this.log(`New settings - FPS: ${preset.targetFps}, Frame Skip: ${preset.frameSkip}, Pause on Idle: ${preset.pauseOnIdle}, Reduced Canvas: ${preset.reducedCanvas}`, "info");
+  }
+
+  setAutoCpuBudget(budget) {
+    const newBudget = Math.max(0.05, Math.min(1, parseFloat(budget) || 0.5));
+    this.config.autoCpuBudget = newBudget;
+    if (this.performanceController) {
+      this.performanceController.cpuBudget = newBudget;
+    }
+    this.log(`Auto performance CPU budget changed to ${Math.round(newBudget * 100)}%`, "info");
+  }
+
+  setAutoLatencyTarget(ms) {
+    const newTarget = Math.max(10, parseInt(ms) || 80);
+    this.config.autoLatencyTarget = newTarget;
+    if (this.performanceController) {
+      this.performanceController.latencyTarget = newTarget;
+    }
+    this.log(`Auto performance latency target changed to ${newTarget}ms`, "info");
+  }
+
+  // Camera sizes the auto mode may switch between, largest first, starting at the current frame size.
+  // The core analyzes frames it is handed, so it has none; Gazer adds autoResolutions.
+  getResolutionLadder() {
+    const sizes = (this.config.autoResolutions || [])
+      .slice()
+      .sort((a, b) => b.width * b.height - a.width * a.height);
+    if (sizes.length === 0) return { resolutions: [], index: 0 };
+
+    const current = this.getFrameSize();
+    const area = current.width * current.height;
+    let index = sizes.findIndex((size) => size.width * size.height <= area);
+    if (index === -1) {
+      index = sizes.length - 1;
+    } else if (sizes[index].width * sizes[index].height < area) {
+      sizes.splice(index, 0, { width: current.width, height: current.height });
+    }
+    return { resolutions: sizes, index };
+  }
+
+  createPerformanceController() {
+    const ladder = this.getResolutionLadder();
+    return new AdaptivePerformanceController({
+      cpuBudget: this.config.autoCpuBudget,
+      latencyTarget: this.config.autoLatencyTarget,
+      minFps: this.config.autoMinFps,
+      maxFps: this.config.autoMaxFps,
+      maxFrameSkip: this.config.autoMaxFrameSkip,
+      interval: this.config.autoAdjustInterval,
+      resolutions: ladder.resolutions,
+      resolutionIndex: ladder.index,
+    });
+  }
+
+  // Feed one frame's inference time (ms) and per-stage breakdown; in auto mode this drives the controller
+  recordInferenceTime(duration, stages = {}) {
+    this.lastInferenceTime = duration;
+    if (!this.performanceController) return;
+
+    const now = this.now();
+    this.performanceController.addSample(now, duration, stages);
+    const decision = this.performanceController.evaluate({
+      targetFps: this.config.targetFps,
+      frameSkip: this.config.frameSkip,
+    }, now);
+    if (decision) {
+      this.applyPerformanceDecision(decision);
+    }
+  }
+
+  applyPerformanceDecision(decision) {
+    const describe = (value) => (value && typeof value === "object" ? `${value.width}x${value.height}` : value);
+
+    if (decision.setting === "targetFps") {
+      this.config.targetFps = decision.to;
+    } else if (decision.setting === "frameSkip") {
+      this.config.frameSkip = decision.to;
+    } else if (decision.setting === "resolution") {
+      Promise.resolve(this.applyCameraResolution(decision.to)).catch((error) => {
+        // Leave resolution alone from now on and carry on with the other settings
+        this.log(`Camera resolution change failed: ${error.message}`, "warning");
+        const controller = this.performanceController;
+        if (controller) {
+          controller.resolutions = [decision.from];
+          controller.resolutionIndex = 0;
+        }
+      });
+    }
+
+    this.log(`Auto performance: ${decision.setting} ${describe(decision.from)} -> ${describe(decision.to)} (${decision.reason}, load ${Math.round(decision.load * 100)}%, ${decision.latency}ms/frame)`, "info");
+    this.emit("performanceDecision", decision);
+  }
+
+  // Hook: switch the capture size (auto performance mode). The core has no camera.
+  applyCameraResolution(size) {}
+
+  // Hook: pass detector settings to the backend. The core only receives results.
+  applyDetectorOptions(options) {}
+
+  // Set sensitivity mode
+  setSensitivityMode(mode) {
+    if (!mode || mode === "manual") {
+      this.config.sensitivityMode = null;
+      this.log("Sensitivity mode set to manual - use individual gaze controls", "info");
+      return;
+    }
+    
+    if (!this.sensitivityPresets[mode]) {
+      this.log(`Unknown sensitivity mode "${mode}". Available modes: ${Object.keys(this.sensitivityPresets).join(', ')}`, "error");
+      return;
+    }
+    
+    this.config.sensitivityMode = mode;
+    const preset = this.sensitivityPresets[mode];
+    
+    // Apply preset settings
+    this.config.horizontalThreshold = preset.horizontalThreshold;
+    this.config.verticalThreshold = preset.verticalThreshold;
+    this.config.maxYaw = preset.maxYaw;
+    this.config.maxPitch = preset.maxPitch;
+    this.config.gazeHistorySize = preset.gazeHistorySize;
+    
+    this.log(`Sensitivity mode changed to "${mode}": ${preset.description}`, "success");
+    this.log(`New settings - Horizontal: ${preset.horizontalThreshold}, Vertical: ${preset.verticalThreshold}, Max Yaw: ${preset.maxYaw}°, Max Pitch: ${preset.maxPitch}°, Smoothing: ${preset.gazeHistorySize} frames`, "info");
+  }
+
+  // Get available performance modes
+  getPerformanceModes() {
+    return Object.keys(this.performancePresets).map(mode => ({
+      value: mode,
+      label: mode.charAt(0).toUpperCase() + mode.slice(1),
+      description: this.performancePresets[mode].description
+    }));
+  }
+
+  // Get available sensitivity modes
+  getSensitivityModes() {
+    return Object.keys(this.sensitivityPresets).map(mode => ({
+      value: mode,
+      label: mode.charAt(0).toUpperCase() + mode.slice(1),
+      description: this.sensitivityPresets[mode].description
+    }));
+  }
+
+  // Setter for each setting accepted by updateSettings()
+  getSettingHandlers() {
+    return {
+      performanceMode: (val) => this.setPerformanceMode(val),
+      sensitivityMode: (val) => this.setSensitivityMode(val),
+      targetFps: (val) => this.setFrameRate(val),
+      frameSkip: (val) => this.setFrameSkip(val),
+      autoCpuBudget: (val) => this.setAutoCpuBudget(val),
+      autoLatencyTarget: (val) => this.setAutoLatencyTarget(val),
+      pauseOnIdle: (val) => this.setPauseOnIdle(val),
+      reducedCanvas: (val) => this.setReducedCanvas(val),
+      horizontalThreshold: (val) => this.setHorizontalThreshold(val),
+      verticalThreshold: (val) => this.setVerticalThreshold(val),
+      maxYaw: (val) => this.setMaxYaw(val),
+      maxPitch: (val) => this.setMaxPitch(val),
+      gazeClassification: (val) => this.setGazeClassification(val),
+      gazeHistorySize: (val) => this.setGazeHistorySize(val),
+      gazeFilter: (val) => this.setGazeFilter(val),
+      gazeFilterParams: (val) => this.setGazeFilter(this.config.gazeFilter, val),
+      gazeHysteresis: (val) => this.setGazeHysteresis(val),
+      gazeMinDwell: (val) => this.setGazeMinDwell(val),
+      maxNumFaces: (val) => this.setMaxNumFaces(val),
+      faceMatchThreshold: (val) => this.setFaceMatchThreshold(val),
+      faceLostTimeout: (val) => this.setFaceLostTimeout(val),
+      enableLogs: (val) => this.setEnableLogs(val),
+      trackRetinaLocations: (val) => this.setTrackRetinaLocations(val),
+      retinaLocationChangeThreshold: (val) => this.setRetinaLocationChangeThreshold(val),
+      retinaLocationInterval: (val) => this.setRetinaLocationInterval(val),
+      detectBlinks: (val) => this.setDetectBlinks(val),
+      blinkThreshold: (val) => this.setBlinkThreshold(val),
+      detectDrowsiness: (val) => this.setDetectDrowsiness(val),
+      drowsinessAway: (val) => this.setDrowsinessAway(val),
+      trackHeatmap: (val) => this.setTrackHeatmap(val),
+      sessionLog: (val) => this.setSessionLog(val),
+      rules: (val) => this.setRules(val),
+      detectEyeMovements: (val) => this.setDetectEyeMovements(val),
+      eyeMovementAlgorithm: (val) => this.setEyeMovementAlgorithm(val)
+    };
+  }
+
+  // Batch update method for multiple settings
+  updateSettings(settings) {
+    const validSettings = this.getSettingHandlers();
+
+    Object.keys(settings).forEach(key => {
+      if (validSettings[key]) {
+        validSettings[key](settings[key]);
+      }
+    });
+  }
+
+  // Set tracking data posting interval
+  setTrackingDataInterval(seconds) {
+    const newInterval = Math.max(0, parseInt(seconds));
+    this.config.postTrackingDataInterval = newInterval;
+    
+    if (this.isRunning) {
+      if (newInterval > 0 && this.needsTrackingData()) {
+        this.startTrackingDataTimer();
+        this.log(`Tracking data interval changed to ${newInterval} seconds`, "info");
+      } else {
+        this.stopTrackingDataTimer();
+        this.log("Tracking data posting disabled", "info");
+      }
+    } else {
+      this.log(`Tracking data interval set to ${newInterval} seconds (will start when tracking begins)`, "info");
+    }
+  }
+
+  // Set (or with null, remove) the built-in transport's endpoint
+  setTrackingDataUrl(url) {
+    this.config.postTrackingDataUrl = url || null;
+
+    if (url) {
+      this.createTransport();
+    } else if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+      this.log("Tracking data transport removed", "info");
+    }
+
+    if (this.isRunning && this.needsTrackingData() && this.config.postTrackingDataInterval > 0 && !this.trackingDataTimer) {
+      this.startTrackingDataTimer();
+    }
+  }
+
+  // Connect the live stream to a new URL, or close it with null
+  setStreamUrl(url) {
+    this.config.streamUrl = url || null;
+
+    if (url) {
+      this.createStream();
+    } else if (this.stream) {
+      this.stream.close();
+      this.stream = null;
+      this.log("Live stream closed", "info");
+    }
+  }
+
+  // Set tracking data callback
+  setTrackingDataCallback(callback) {
+    this.config.onPostTrackingData = callback;
+    
+    if (this.isRunning) {
+      if (this.needsTrackingData() && this.config.postTrackingDataInterval > 0) {
+        this.startTrackingDataTimer();
+        this.log("Tracking data callback set and timer started", "info");
+      } else {
+        this.stopTrackingDataTimer();
+        this.log("Tracking data callback removed and timer stopped", "info");
       }
+    } else {
+      this.log("Tracking data callback set (will start when tracking begins)", "info");
+    }
+  }
+
+  // Force post tracking data immediately
+  forcePostTrackingData() {
+    if (!this.hasListeners("postTrackingData") && !this.transport) {
+      this.log("No tracking data callback configured", "warning");
+      return;
+    }
+    
+    this.postTrackingData();
+    this.log("Tracking data posted immediately", "info");
+  }
+
+  getStats() {
+    let currentAwayTime = this.totalAwayTime;
+    if (this.awayStartTime !== null) {
+      currentAwayTime += this.now() - this.awayStartTime;
+    }
+
+    let currentDistractedTime = this.totalDistractedTime;
+    if (this.distractedStartTime !== null) {
+      currentDistractedTime += this.now() - this.distractedStartTime;
+    }
+
+    const drowsinessTimes = this.getDrowsinessTimes();
+
+    return {
+      faceCount: this.faceCount,
+      faceCountChanges: this.faceCountChanges,
+      awayTime: Math.floor(currentAwayTime / 1000),
+      distractedTime: Math.floor(currentDistractedTime / 1000),
+      processingFps: this.processingFps,
+      inferenceTime: this.lastInferenceTime !== null ? Math.round(this.lastInferenceTime * 10) / 10 : null,
+      targetFps: this.config.targetFps,
+      frameSkip: this.config.frameSkip,
+      framesSkipped: this.framesSkipped,
+      canvasUpdates: this.canvasUpdates,
+      gazeState: this.lastGazeState,
+      isRunning: this.isRunning,
+      isIdle: this.isIdle,
+      blinkCount: this.totalBlinks,
+      blinkRate: this.getBlinkRate(),
+      drowsinessLevel: this.drowsinessLevel,
+      perclos: Math.round(this.calculatePerclos() * 1000) / 1000,
+      longEyeClosures: this.totalLongEyeClosures,
+      drowsyTime: Math.floor(drowsinessTimes.drowsyTime / 1000),
+      asleepTime: Math.floor(drowsinessTimes.asleepTime / 1000),
+      cameraLostTime: Math.floor(this.getCameraLostTime() / 1000),
+      fixationCount: this.totalFixations,
+      saccadeCount: this.totalSaccades,
+      incidentCount: this.totalIncidents,
+      activeIncidents: this.getActiveIncidents(),
+      faces: this.getFaceStats(),
+      areasOfInterest: this.getAreasOfInterest()
     };
+  }
 
-    // Default configuration
+  // Utility methods
+  isActive() {
+    return this.isRunning;
+  }
+
+  destroy() {
+    // Ensure tracking data timer is stopped
+    this.stopTrackingDataTimer();
+    
+    // Last interval goes out with sendBeacon; anything it can't take stays in IndexedDB
+    if (this.transport) {
+      this.postPendingTrackingData();
+      this.transport.sendBeacon();
+      this.transport.close();
+      this.transport = null;
+    }
+    
+    if (this.stream) {
+      this.stream.close("destroyed");
+      this.stream = null;
+    }
+    
+    this.log("Gazer instance destroyed", "info");
+    this.eventListeners = {};
+  }
+}
+
+// Browser tracker: owns the video element, overlay canvas, detector backend and camera,
+// and feeds every frame into the analysis core
+class Gazer extends GazerCore {
+  constructor(videoElementId, options = {}) {
+    super(options);
+
+    // Browser-only defaults; user options were already merged into the config by GazerCore
     this.config = {
-      // Performance mode (low, medium, high, or null for manual)
-      performanceMode: "medium",
-      
-      // Gaze sensitivity mode (strict, medium, relaxed, or null for manual)
-      sensitivityMode: "medium",
-      
-      // Performance settings
-      targetFps: 15,
-      frameSkip: 1,
-      pauseOnIdle: true,
-      reducedCanvas: false,
-      idleTimeout: 3000,
-      
-      // Gaze sensitivity
-      horizontalThreshold: 0.3,
-      verticalThreshold: 0.15,
-      gazeHistorySize: 5,
-      
       // Display options
       showGazeVector: true,
       showEyePoints: true,
       showFaceRectangle: true,
-      enableLogs: true,
+      
+      // Detector backend ("legacy", "tasks", "mock" or a GazerBackend instance)
+      backend: "legacy",
+      tasksVision: null, // @mediapipe/tasks-vision module for the "tasks" backend
+      
+      // Worker mode - inference (and optionally overlay drawing) in a Web Worker
+      worker: false,
+      workerScriptUrl: null, // URL of gazer.js for the worker (defaults to the URL this script was loaded from)
+      tasksVisionUrl: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/vision_bundle.mjs", // imported by the worker
+      offscreenOverlay: false, // draw the overlay in the worker via transferControlToOffscreen()
       
       // MediaPipe settings
       faceDetectionModel: "short",
@@ -89,36 +5537,84 @@ class Gazer {
       faceMeshTracking: 0.5,
       maxNumFaces: 1,
       refineLandmarks: true,
+      pipeline: "dual", // legacy backend: "dual" (face detection + face mesh every frame) or "mesh" (mesh only)
+      faceDetectionInterval: 0, // ms - "mesh" pipeline: also run face detection this often to count faces beyond maxNumFaces (0 = never)
+      
+      // Model asset locations - point these at your own server to self-host
+      faceDetectionAssetUrl: "https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/",
+      faceMeshAssetUrl: "https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/",
+      tasksWasmUrl: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/wasm",
+      faceLandmarkerModelUrl: "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+      verifyAssets: false, // check all asset files are reachable before loading
+      assetIntegrity: null, // optional { fileName or url: "sha384-..." } checked when verifyAssets is on
+      modelLoadTimeout: 30000, // ms - 0 to wait indefinitely
       
       // Camera settings
       cameraWidth: 640,
       cameraHeight: 480,
+      autoResolutions: [ // capture sizes the auto performance mode may step down to
+        { width: 640, height: 480 },
+        { width: 480, height: 360 },
+        { width: 320, height: 240 },
+      ],
+      deviceId: null, // camera to open (see listCameras()); null for the browser default
+      facingMode: null, // "user" or "environment" when no deviceId is set
+      cameraReconnect: true, // reopen the camera (or another one) when it is unplugged or its track ends
+      cameraReconnectTimeout: 10000, // ms to wait for a camera to come back before "cameraLost"
       
-      // Tracking data posting
-      postTrackingDataInterval: 30, // seconds - set to 0 to disable
-      
-      // Retina location tracking
-      trackRetinaLocations: true,
-      retinaLocationChangeThreshold: 0.1, // 10% change to record new position
-      retinaLocationInterval: 5, // seconds - record location every X seconds regardless of change
+      // Evidence snapshots
+      captureSnapshots: false,
+      snapshotTriggers: ["faceCountChange", "prolongedAway", "incident"],
+      snapshotAwayDuration: 5000, // ms without a face or looking away before a "prolongedAway" snapshot
+      snapshotFormat: "image/jpeg", // "image/jpeg" or "image/webp"
+      snapshotQuality: 0.8, // 0-1, lowered as needed to stay within snapshotMaxBytes
+      snapshotMaxWidth: 640, // px - larger frames are scaled down
+      snapshotMaxBytes: 150000,
+      snapshotMinInterval: 2000, // ms between automatic snapshots
+      snapshotIncludeOverlay: false, // composite face rectangles and gaze indicators
+      snapshotBlurFaces: "none", // "none", "others" (everyone but the primary face) or "all"
       
       // Callbacks
-      onFaceDetected: null,
-      onGazeChange: null,
-      onAttentionChange: null,
-      onStatsUpdate: null,
-      onPostTrackingData: null,
-      onError: null,
       onModelLoaded: null,
+      onStarted: null,
+      onStopped: null,
+      onCameraError: null,
+      onCameraChange: null,
+      onCameraLost: null,
+      onCameraPermissionChange: null,
+      onAnalysisComplete: null,
+      onSnapshot: null,
       
-      ...options
+      ...this.config
     };
 
-    // Apply performance mode if specified
-    this.applyPerformanceMode(options);
+    // Detector backend and frame source
+    this.backend = null;
+    this.camera = null;
+    this.isModelLoaded = false;
+    this.isModelLoadAbandoned = false; // Set once the load timed out; its late failures change nothing
     
-    // Apply sensitivity mode if specified
-    this.applySensitivityMode(options);
+    // Camera device state
+    this.activeCamera = null; // { deviceId, label } of the open camera
+    this.cameraTrack = null;
+    this.cameraTrackEndedListener = null;
+    this.cameraLoss = null; // { camera, reported, timer } while a lost camera is being recovered
+    this.isReconnectingCamera = false;
+    this.frameInFlight = null; // processFrame() promise of the camera frame being processed
+    this.cameraPermission = "unknown";
+    this.cameraPermissionStatus = null;
+    
+    // Event listeners
+    this.resizeListener = null;
+    this.deviceChangeListener = null;
+    
+    // Evidence snapshot triggers waiting for the end of the frame
+    this.pendingSnapshotTriggers = [];
+    this.lastSnapshotTime = null;
+    this.awaySnapshotTaken = false;
+    
+    // Page-wide heatmap canvas (showHeatmapOverlay)
+    this.heatmapOverlay = null;
 
     // Get video element
     this.video = document.getElementById(videoElementId);
@@ -128,10 +5624,8 @@ class Gazer {
 
     // Create canvas for overlays
     this.canvas = this.createCanvas();
-    this.ctx = this.canvas.getContext("2d");
-
-    // Initialize state
-    this.initializeState();
+    this.offscreenCanvas = null;
+    this.ctx = this.createOverlayContext();
     
     // Initialize MediaPipe
     this.initializeMediaPipe();
@@ -159,63 +5653,56 @@ class Gazer {
     return canvas;
   }
 
-  // Apply performance mode settings
-  applyPerformanceMode(userOptions = {}) {
-    const mode = this.config.performanceMode;
-    
-    if (mode && this.performancePresets[mode]) {
-      const preset = this.performancePresets[mode];
-      
-      // Check for manual overrides and warn if conflicts exist
-      const manualSettings = ['targetFps', 'frameSkip', 'pauseOnIdle', 'reducedCanvas'];
-      const hasManualOverrides = manualSettings.some(setting => 
-        userOptions.hasOwnProperty(setting)
-      );
-      
-      if (hasManualOverrides) {
-        this.log(`Performance mode "${mode}" selected, but manual settings detected. Manual settings will take precedence.`, "warning");
-        this.log(`Performance mode "${mode}": ${preset.description}`, "info");
-      } else {
-        // Apply preset settings
-        this.config.targetFps = preset.targetFps;
-        this.config.frameSkip = preset.frameSkip;
-        this.config.pauseOnIdle = preset.pauseOnIdle;
-        this.config.reducedCanvas = preset.reducedCanvas;
-        
-        this.log(`Applied performance mode "${mode}": ${preset.description}`, "success");
-        this.log(`Settings - FPS: ${preset.targetFps}, Frame Skip: ${preset.frameSkip}, Pause on Idle: ${preset.pauseOnIdle}, Reduced Canvas: ${preset.reducedCanvas}`, "info");
-      }
+  // 2D context for the overlay. In worker mode with offscreenOverlay the canvas belongs to the worker:
+  // drawing is recorded here and replayed there after each frame (see flushOverlay). A canvas that has
+  // a context can't be transferred, so until the worker has loaded this is a recorder; settleOverlayContext
+  // then transfers the canvas or, if the worker didn't start, swaps in a normal 2D context.
+  createOverlayContext() {
+    if (this.config.offscreenOverlay && this.canUseWorker() && typeof this.canvas.transferControlToOffscreen === "function") {
+      return new OverlayCommandRecorder(this.canvas.width, this.canvas.height);
     }
+    return this.canvas.getContext("2d");
   }
 
-  // Apply sensitivity mode settings
-  applySensitivityMode(userOptions = {}) {
-    const mode = this.config.sensitivityMode;
-    
-    if (mode && this.sensitivityPresets[mode]) {
-      const preset = this.sensitivityPresets[mode];
-      
-      // Check for manual overrides and warn if conflicts exist
-      const manualSettings = ['horizontalThreshold', 'verticalThreshold', 'gazeHistorySize'];
-      const hasManualOverrides = manualSettings.some(setting => 
-        userOptions.hasOwnProperty(setting)
-      );
-      
-      if (hasManualOverrides) {
-        this.log(`Sensitivity mode "${mode}" selected, but manual gaze settings detected. Manual settings will take precedence.`, "warning");
-        this.log(`Sensitivity mode "${mode}": ${preset.description}`, "info");
-      } else {
-        // Apply preset settings
-        this.config.horizontalThreshold = preset.horizontalThreshold;
-        this.config.verticalThreshold = preset.verticalThreshold;
-        this.config.gazeHistorySize = preset.gazeHistorySize;
-        
-        this.log(`Applied sensitivity mode "${mode}": ${preset.description}`, "success");
-        this.log(`Settings - Horizontal: ${preset.horizontalThreshold}, Vertical: ${preset.verticalThreshold}, Smoothing: ${preset.gazeHistorySize} frames`, "info");
-      }
+  settleOverlayContext() {
+    if (!(this.ctx instanceof OverlayCommandRecorder) || this.offscreenCanvas) return;
+
+    const { width, height } = this.ctx.canvas;
+    if (this.isModelLoaded && this.backend instanceof WorkerBackend) {
+      this.offscreenCanvas = this.canvas.transferControlToOffscreen();
+      this.offscreenCanvas.width = width;
+      this.offscreenCanvas.height = height;
+      this.backend.attachOverlay(this.offscreenCanvas);
+      this.ctx.take();
+      return;
+    }
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx = this.canvas.getContext("2d");
+  }
+
+  // Worker mode runs the tasks (or mock) backend; the legacy solutions need the DOM
+  canUseWorker() {
+    return Boolean(this.config.worker) && ["tasks", "mock"].includes(this.config.backend) && WorkerBackend.isSupported();
+  }
+
+  // Send the overlay drawing recorded for this frame to the worker
+  flushOverlay() {
+    if (!(this.ctx instanceof OverlayCommandRecorder)) return;
+
+    const commands = this.ctx.take();
+    if (commands.length > 0 && this.backend instanceof WorkerBackend) {
+      this.backend.drawOverlay(commands, this.ctx.canvas.width, this.ctx.canvas.height);
     }
   }
 
+  processResults(results, timestamp) {
+    const frame = super.processResults(results, timestamp);
+    this.flushOverlay();
+    return frame;
+  }
+
   // Helper method to get video position relative to its parent
   getVideoPosition() {
     const videoRect = this.video.getBoundingClientRect();
@@ -247,413 +5734,568 @@ class Gazer {
     const displayHeight = this.video.offsetHeight;
     
     // Set canvas display size to match video display size
-    this.canvas.style.width = displayWidth + 'px';
-    this.canvas.style.height = displayHeight + 'px';
-    
-    // Calculate the scale factors between video resolution and display size
-    this.videoScaleX = displayWidth / this.video.videoWidth;
-    this.videoScaleY = displayHeight / this.video.videoHeight;
-    
-    // Set canvas internal dimensions to match video display size for proper coordinate mapping
-    this.canvas.width = displayWidth;
-    this.canvas.height = displayHeight;
-    
-    // Position canvas to exactly overlay the video
-    const videoPosition = this.getVideoPosition();
-    this.canvas.style.left = videoPosition.left + 'px';
-    this.canvas.style.top = videoPosition.top + 'px';
-    
-    this.log(`Canvas updated to ${displayWidth}x${displayHeight} (display) from video ${this.video.videoWidth}x${this.video.videoHeight} (resolution)`, "info");
-    this.log(`Scale factors: X=${this.videoScaleX.toFixed(3)}, Y=${this.videoScaleY.toFixed(3)}`, "info");
-  }
-
-
-  initializeState() {
-    // MediaPipe instances
-    this.faceDetection = null;
-    this.faceMesh = null;
-    this.camera = null;
-    
-    // Running state
-    this.isRunning = false;
-    this.isModelLoaded = false;
-    this.isIdle = false;
-    
-    // Event listeners
-    this.resizeListener = null;
-    
-    // Tracking data
-    this.currentFaces = [];
-    this.lastFaceCount = -1;
-    this.lastGazeState = null;
-    this.gazeHistory = [];
-    this.currentMeshResults = null;
-    
-    // Statistics
-    this.faceCount = 0;
-    this.awayStartTime = null;
-    this.totalAwayTime = 0;
-    this.distractedStartTime = null;
-    this.totalDistractedTime = 0;
-    this.faceCountChanges = 0; // Track number of face count changes
-    
-    // Tracking data posting
-    this.trackingDataTimer = null;
-    this.lastTrackingDataPost = Date.now();
-    
-    // Retina location tracking
-    this.retinaLocations = [];
-    this.lastRetinaPosition = null;
-    this.lastRetinaLocationRecord = Date.now();
-    
-    // Performance tracking
-    this.frameCounter = 0;
-    this.lastFrameTime = Date.now();
-    this.processingFps = 0;
-    this.framesSkipped = 0;
-    this.canvasUpdates = 0;
-    this.lastIdleTime = Date.now();
-  }
-
-  // Logging function
-  log(message, type = "info") {
-    if (!this.config.enableLogs) return;
-    
-    const timestamp = new Date().toLocaleTimeString();
-    const logMessage = `[${timestamp}] [Gazer.js] ${message}`;
-    
-    switch (type) {
-      case "warning":
-        console.warn(logMessage);
-        break;
-      case "success":
-        console.log(`✅ ${logMessage}`);
-        break;
-      case "gaze":
-        console.log(`👁️ ${logMessage}`);
-        break;
-      case "error":
-        console.error(`❌ ${logMessage}`);
-        break;
-      case "info":
-      default:
-        console.log(`ℹ️ ${logMessage}`);
-        break;
+    this.canvas.style.width = displayWidth + 'px';
+    this.canvas.style.height = displayHeight + 'px';
+    
+    // Calculate the scale factors between video resolution and display size
+    this.videoScaleX = displayWidth / this.video.videoWidth;
+    this.videoScaleY = displayHeight / this.video.videoHeight;
+    
+    // Set canvas internal dimensions to match video display size for proper coordinate mapping
+    // (through the context: a canvas transferred to the worker can't be resized directly)
+    this.ctx.canvas.width = displayWidth;
+    this.ctx.canvas.height = displayHeight;
+    
+    // Position canvas to exactly overlay the video
+    const videoPosition = this.getVideoPosition();
+    this.canvas.style.left = videoPosition.left + 'px';
+    this.canvas.style.top = videoPosition.top + 'px';
+    
+    this.log(`Canvas updated to ${displayWidth}x${displayHeight} (display) from video ${this.video.videoWidth}x${this.video.videoHeight} (resolution)`, "info");
+    this.log(`Scale factors: X=${this.videoScaleX.toFixed(3)}, Y=${this.videoScaleY.toFixed(3)}`, "info");
+  }
+
+  // Create the detector backend from the `backend` option
+  createBackend() {
+    const backend = this.config.backend;
+
+    if (backend instanceof GazerBackend) {
+      // Injected instance - fill in any settings it wasn't given
+      backend.config = { ...this.config, ...backend.config };
+      return backend;
+    }
+
+    const BackendClass = GAZER_BACKENDS[backend];
+    if (!BackendClass) {
+      throw new GazerError(GAZER_ERROR_CODES.BACKEND_UNAVAILABLE, `Unknown backend "${backend}". Available backends: ${Object.keys(GAZER_BACKENDS).join(', ')}`);
+    }
+
+    if (this.config.worker) {
+      if (this.canUseWorker()) {
+        return new WorkerBackend(this.config, { backend });
+      }
+      this.log(`Worker mode needs the "tasks" backend and Web Worker support - running "${backend}" on the main thread`, "warning");
     }
+
+    return new BackendClass(this.config);
   }
 
   // Initialize MediaPipe models
   async initializeMediaPipe() {
-    try {
-      this.log("Loading MediaPipe Face Detection and Mesh...", "info");
-
-      // Initialize face detection
-      this.faceDetection = new FaceDetection({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/face_detection/${file}`;
-        },
-      });
+    // Called from the constructor: wait a microtask so on("error") / on("modelLoaded") subscribers
+    // attached right after `new Gazer()` hear about backend selection failures too
+    await Promise.resolve();
 
-      this.faceDetection.setOptions({
-        model: this.config.faceDetectionModel,
-        minDetectionConfidence: this.config.faceDetectionConfidence,
-      });
-
-      // Initialize face mesh
-      this.faceMesh = new FaceMesh({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-        },
-      });
+    try {
+      this.backend = this.createBackend();
+      this.log(`Loading detector backend (${this.backend.constructor.name})...`, "info");
 
-      this.faceMesh.setOptions({
-        maxNumFaces: this.config.maxNumFaces,
-        refineLandmarks: this.config.refineLandmarks,
-        minDetectionConfidence: this.config.faceMeshConfidence,
-        minTrackingConfidence: this.config.faceMeshTracking,
-      });
+      const loading = (async () => {
+        if (this.config.verifyAssets) {
+          await this.backend.verifyAssets(this.config.assetIntegrity || {});
+          this.log("Model assets verified", "success");
+        }
+        await this.loadBackend();
+      })();
 
-      // Set up callbacks
-      this.faceDetection.onResults(this.onFaceDetectionResults.bind(this));
-      this.faceMesh.onResults(this.onFaceMeshResults.bind(this));
+      await this.withTimeout(loading, this.config.modelLoadTimeout);
 
       this.isModelLoaded = true;
+      this.settleOverlayContext();
       this.log("MediaPipe models loaded successfully", "success");
       
-      if (this.config.onModelLoaded) {
-        this.config.onModelLoaded();
-      }
+      this.emit("modelLoaded");
       
     } catch (error) {
-      this.log("Error loading MediaPipe: " + error.message, "error");
-      if (this.config.onError) {
-        this.config.onError(error);
+      const gazerError = error instanceof GazerError
+        ? error
+        : new GazerError(GAZER_ERROR_CODES.MODEL_LOAD_FAILED, "Failed to load models: " + error.message, { cause: error });
+
+      if (gazerError.code === GAZER_ERROR_CODES.MODEL_LOAD_TIMEOUT && this.backend) {
+        this.isModelLoadAbandoned = true;
+        this.backend.close();
       }
+      this.settleOverlayContext();
+
+      this.log(`Error loading MediaPipe [${gazerError.code}]: ${gazerError.message}`, "error");
+      this.emit("error", gazerError);
     }
   }
 
-  // Calculate gaze direction from landmarks
-  calculateGazeDirection(landmarks) {
-    if (!landmarks || landmarks.length < 468) return null;
-
-    const leftEyeOuter = landmarks[33] || null;
-    const leftEyeInner = landmarks[133] || null;
-    const rightEyeOuter = landmarks[362] || null;
-    const rightEyeInner = landmarks[263] || null;
-    const noseTip = landmarks[1] || null;
-    const leftEyeTop = landmarks[159] || null;
-    const leftEyeBottom = landmarks[145] || null;
-    const rightEyeTop = landmarks[386] || null;
-    const rightEyeBottom = landmarks[374] || null;
-
-    if (!leftEyeOuter || !rightEyeOuter || !noseTip) return null;
+  // Load the backend. A worker that fails to start (CSP blocking blob: workers, a bad tasksVisionUrl)
+  // is replaced by the same backend on the main thread.
+  async loadBackend() {
+    try {
+      await this.backend.load();
+    } catch (error) {
+      if (!(this.backend instanceof WorkerBackend) || this.config.backend instanceof GazerBackend || this.isModelLoadAbandoned) {
+        throw error;
+      }
 
-    // Calculate eye centers
-    const leftEyeCenter = {
-      x: (leftEyeOuter.x + leftEyeInner.x) / 2,
-      y: (leftEyeTop.y + leftEyeBottom.y) / 2,
-    };
+      this.log(`Worker failed to start (${error.message}) - running "${this.config.backend}" on the main thread`, "warning");
+      this.backend.close();
+      this.backend = new GAZER_BACKENDS[this.config.backend](this.config);
+      await this.backend.load();
+    }
+  }
 
-    const rightEyeCenter = {
-      x: (rightEyeOuter.x + rightEyeInner.x) / 2,
-      y: (rightEyeTop.y + rightEyeBottom.y) / 2,
-    };
+  // Reject with MODEL_LOAD_TIMEOUT if loading takes longer than timeoutMs (0 disables)
+  withTimeout(promise, timeoutMs) {
+    if (!timeoutMs || timeoutMs <= 0) {
+      return promise;
+    }
 
-    // Calculate face center
-    const faceCenter = {
-      x: (leftEyeCenter.x + rightEyeCenter.x) / 2,
-      y: (leftEyeCenter.y + rightEyeCenter.y) / 2,
-    };
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new GazerError(GAZER_ERROR_CODES.MODEL_LOAD_TIMEOUT, `Models did not load within ${timeoutMs}ms`, { timeout: timeoutMs }));
+      }, timeoutMs);
+    });
 
-    // Calculate gaze offsets
-    const eyeDistance = Math.abs(rightEyeCenter.x - leftEyeCenter.x);
-    const horizontalGaze = (faceCenter.x - 0.5) / eyeDistance;
-    const verticalGaze = faceCenter.y - 0.4;
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
 
-    // Determine gaze direction
-    let gazeDirection = "screen";
-    if (Math.abs(horizontalGaze) > this.config.horizontalThreshold) {
-      gazeDirection = "away";
-    } else if (Math.abs(verticalGaze) > this.config.verticalThreshold) {
-      gazeDirection = "away";
+  // The video's own resolution once known, otherwise the requested camera size
+  getFrameSize() {
+    if (this.offlineFrameSize) {
+      return super.getFrameSize();
     }
+    if (this.video && this.video.videoWidth && this.video.videoHeight) {
+      return { width: this.video.videoWidth, height: this.video.videoHeight };
+    }
+    return { width: this.config.cameraWidth, height: this.config.cameraHeight };
+  }
 
-    return {
-      direction: gazeDirection,
-      horizontal: horizontalGaze,
-      vertical: verticalGaze,
-      confidence: Math.max(0.5, 1 - Math.abs(horizontalGaze) - Math.abs(verticalGaze)),
-      leftEyeCenter,
-      rightEyeCenter,
-      faceCenter,
-    };
+  resetTrackingState() {
+    super.resetTrackingState();
+    this.pendingSnapshotTriggers = [];
+    this.lastSnapshotTime = null;
+    this.awaySnapshotTaken = false;
   }
 
-  // Calculate and record retina position if tracking is enabled
-  recordRetinaPosition(gazeData) {
-    if (!this.config.trackRetinaLocations || !gazeData) {
-      return;
+  // Additional method to handle video element changes
+  handleVideoResize() {
+    // Debounce resize events
+    if (this.resizeTimeout) {
+      clearTimeout(this.resizeTimeout);
     }
-
-    const now = Date.now();
-    const timeSinceLastRecord = (now - this.lastRetinaLocationRecord) / 1000;
     
-    // Convert gaze data to screen coordinates (normalized 0-1)
-    const retinaPosition = {
-      x: Math.max(0, Math.min(1, 0.5 + gazeData.horizontal)),
-      y: Math.max(0, Math.min(1, 0.5 + gazeData.vertical)),
-      confidence: gazeData.confidence,
-      timestamp: now
-    };
+    this.resizeTimeout = setTimeout(() => {
+      this.updateCanvasSize();
+      this.resizeTimeout = null;
+    }, 100);
+  }
 
-    let shouldRecord = false;
 
-    // Record if this is the first position
-    if (!this.lastRetinaPosition) {
-      shouldRecord = true;
-    }
-    // Record if enough time has passed (interval-based recording)
-    else if (timeSinceLastRecord >= this.config.retinaLocationInterval) {
-      shouldRecord = true;
+  // Run the backend on one frame and feed the results through the analysis pipeline
+  async processFrame(image, timestamp = this.now()) {
+    const start = GazerBackend.now();
+    const results = await this.backend.detect(image, timestamp);
+    // Offline analysis runs as fast as it can, so only live frames count toward performance
+    if (!this.isOffline) {
+      this.recordInferenceTime(GazerBackend.now() - start, this.backend.timings);
     }
-    // Record if position changed significantly (change-based recording)
-    else if (this.lastRetinaPosition) {
-      const deltaX = Math.abs(retinaPosition.x - this.lastRetinaPosition.x);
-      const deltaY = Math.abs(retinaPosition.y - this.lastRetinaPosition.y);
-      const maxDelta = Math.max(deltaX, deltaY);
-      
-      if (maxDelta >= this.config.retinaLocationChangeThreshold) {
-        shouldRecord = true;
-      }
+    const frame = this.processResults(results);
+
+    if (this.config.captureSnapshots) {
+      this.checkProlongedAway();
+      this.captureRequestedSnapshot(image);
     }
 
-    if (shouldRecord) {
-      this.retinaLocations.push({
-        x: retinaPosition.x,
-        y: retinaPosition.y,
-        confidence: retinaPosition.confidence,
-        timestamp: retinaPosition.timestamp,
-        gazeDirection: gazeData.direction
-      });
+    return frame;
+  }
 
-      this.lastRetinaPosition = retinaPosition;
-      this.lastRetinaLocationRecord = now;
+  // Queue a snapshot of the current frame for an enabled trigger; it is taken once the frame is processed
+  requestSnapshot(type, details = {}) {
+    if (!this.config.captureSnapshots || !this.config.snapshotTriggers.includes(type)) return;
 
-      this.log(`Recorded retina position: (${retinaPosition.x.toFixed(3)}, ${retinaPosition.y.toFixed(3)}) confidence: ${retinaPosition.confidence.toFixed(2)}`, "info");
+    this.pendingSnapshotTriggers.push({ type, ...details });
+  }
+
+  // One snapshot per away episode (no face, or looking away) once it lasts snapshotAwayDuration
+  checkProlongedAway() {
+    const since = this.awayStartTime !== null ? this.awayStartTime : this.distractedStartTime;
+    if (since === null) {
+      this.awaySnapshotTaken = false;
+      return;
+    }
+
+    const duration = this.now() - since;
+    if (!this.awaySnapshotTaken && duration >= this.config.snapshotAwayDuration) {
+      this.awaySnapshotTaken = true;
+      this.requestSnapshot("prolongedAway", {
+        reason: this.awayStartTime !== null ? "noFace" : "lookingAway",
+        durationMs: duration,
+      });
     }
   }
 
-  // Smooth gaze detection
-  smoothGazeDetection(currentGaze) {
-    if (!currentGaze) return "unknown";
+  async applyDetectorOptions(options) {
+    if (this.backend) {
+      await this.backend.setOptions(options);
+    }
+  }
 
-    this.gazeHistory.push(currentGaze.direction);
-    if (this.gazeHistory.length > this.config.gazeHistorySize) {
-      this.gazeHistory.shift();
+  // Ask the camera track for a new capture size; the stream keeps running
+  async applyCameraResolution(size) {
+    const stream = this.video && this.video.srcObject;
+    const track = stream && stream.getVideoTracks ? stream.getVideoTracks()[0] : null;
+    if (!track || typeof track.applyConstraints !== "function") {
+      throw new Error("camera track does not support resolution changes");
     }
 
-    const gazeCounts = this.gazeHistory.reduce((acc, gaze) => {
-      acc[gaze] = (acc[gaze] || 0) + 1;
-      return acc;
-    }, {});
+    await track.applyConstraints({ width: { ideal: size.width }, height: { ideal: size.height } });
+    this.config.cameraWidth = size.width;
+    this.config.cameraHeight = size.height;
+    this.handleVideoResize();
+  }
 
-    return Object.keys(gazeCounts).reduce((a, b) =>
-      gazeCounts[a] > gazeCounts[b] ? a : b
-    );
+  // Video inputs as [{ deviceId, label, groupId, active }].
+  // Browsers leave labels (and sometimes IDs) empty until camera permission has been granted.
+  async listCameras() {
+    if (typeof navigator === "undefined" || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+      return [];
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const activeId = this.camera && this.activeCamera ? this.activeCamera.deviceId : null;
+    return devices
+      .filter((device) => device.kind === "videoinput")
+      .map((device) => ({
+        deviceId: device.deviceId,
+        label: device.label,
+        groupId: device.groupId,
+        active: activeId !== null && device.deviceId === activeId,
+      }));
   }
 
-  // Additional method to handle video element changes
-  handleVideoResize() {
-    // Debounce resize events
-    if (this.resizeTimeout) {
-      clearTimeout(this.resizeTimeout);
+  // Camera permission: "prompt", "denied", "granted", or "unknown" where the Permissions API
+  // can't query cameras (in which case start() still reports a denial through CAMERA_PERMISSION_DENIED)
+  async getCameraPermission() {
+    if (this.cameraPermissionStatus || typeof navigator === "undefined" || !navigator.permissions) {
+      return this.cameraPermission;
     }
-    
-    this.resizeTimeout = setTimeout(() => {
-      this.updateCanvasSize();
-      this.resizeTimeout = null;
-    }, 100);
+
+    try {
+      const status = await navigator.permissions.query({ name: "camera" });
+      this.cameraPermissionStatus = status;
+      status.onchange = () => this.setCameraPermission(status.state);
+      this.setCameraPermission(status.state);
+    } catch (error) {
+      // "camera" is not a queryable permission in every browser
+    }
+    return this.cameraPermission;
   }
 
+  setCameraPermission(state) {
+    if (state === this.cameraPermission) return;
 
-  // Handle face detection results
-  onFaceDetectionResults(results) {
-    if (!this.ctx) return;
+    const previous = this.cameraPermission;
+    this.cameraPermission = state;
+    this.log(`Camera permission: ${state}`, state === "denied" ? "warning" : "info");
+    this.emit("cameraPermissionChange", state, previous);
+  }
 
-    // Update performance tracking
-    this.frameCounter++;
-    const now = Date.now();
-    if (now - this.lastFrameTime >= 1000) {
-      this.processingFps = this.frameCounter;
-      this.frameCounter = 0;
-      this.lastFrameTime = now;
+  // Move tracking to another camera without stopping the session; stats, incidents and recordings carry on.
+  // target: a deviceId from listCameras(), or { deviceId } / { facingMode }.
+  // When not running, only sets the camera start() will open.
+  async switchCamera(target) {
+    const options = target && typeof target === "object" ? target : { deviceId: target };
+    const previous = { deviceId: this.config.deviceId, facingMode: this.config.facingMode };
+    const previousCamera = this.activeCamera;
+    this.config.deviceId = options.deviceId || null;
+    if (options.facingMode !== undefined) {
+      this.config.facingMode = options.facingMode;
     }
 
-    this.currentFaces = results.detections || results.faces || [];
+    if (!this.isRunning) {
+      this.log(`Camera set to ${this.config.deviceId || this.config.facingMode || "default"}`, "info");
+      return null;
+    }
 
-    // Check for idle state
-    if (this.config.pauseOnIdle) {
-      if (this.currentFaces.length === 0) {
-        if (!this.isIdle && now - this.lastIdleTime > this.config.idleTimeout) {
-          this.isIdle = true;
-          this.log("Entering idle mode (no faces detected)", "info");
-        }
-      } else {
-        if (this.isIdle) {
-          this.isIdle = false;
-          this.log("Exiting idle mode (faces detected)", "info");
-        }
-        this.lastIdleTime = now;
+    await this.closeCamera();
+    try {
+      await this.openCamera();
+    } catch (error) {
+      this.log(`Camera switch failed: ${error.message}`, "error");
+      this.emit("cameraError", error);
+      this.emit("error", error);
+
+      // Go back to the camera that was working
+      this.config.deviceId = previous.deviceId;
+      this.config.facingMode = previous.facingMode;
+      try {
+        await this.openCamera();
+      } catch (restoreError) {
+        this.activeCamera = previousCamera;
+        this.handleCameraLost("ended").catch((lostError) => {
+          this.log(`Camera loss handling failed: ${lostError.message}`, "error");
+        });
       }
+      throw error;
     }
 
-    if (this.isIdle && this.config.pauseOnIdle) {
+    this.clearCameraLoss();
+    this.handleVideoResize();
+
+    this.log(`Switched camera to ${this.activeCamera.label || this.activeCamera.deviceId || "default"}`, "success");
+    this.emit("cameraChange", {
+      ...this.activeCamera,
+      previousDeviceId: previousCamera ? previousCamera.deviceId : null,
+      reason: "switch",
+    });
+    return this.activeCamera;
+  }
+
+  async handleDeviceChange() {
+    if (!this.isRunning) return;
+
+    if (this.cameraLoss) {
+      await this.reconnectCamera();
       return;
     }
 
-    // Update canvas
-    const shouldUpdateCanvas =
-      !this.config.reducedCanvas ||
-      this.currentFaces.length !== this.lastFaceCount ||
-      Math.abs(now - this.lastFrameTime) > 500;
-
-    if (shouldUpdateCanvas) {
-      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-      if (this.currentFaces.length > 0 && this.config.showFaceRectangle) {
-        this.drawFaces(this.currentFaces);
+    // Some browsers remove the device without ending its track
+    if (this.activeCamera && this.activeCamera.deviceId && this.camera) {
+      const cameras = await this.listCameras();
+      if (!cameras.some((camera) => camera.deviceId === this.activeCamera.deviceId)) {
+        await this.handleCameraLost("removed");
       }
-      this.canvasUpdates++;
     }
-
-    this.updateStats(this.currentFaces);
   }
 
-  // Handle face mesh results
-  onFaceMeshResults(results) {
-    if (this.frameCounter % this.config.frameSkip !== 0) {
-      this.framesSkipped++;
+  // The open camera went away. Keep the session running and reconnect if allowed; "cameraLost" is
+  // emitted straight away without cameraReconnect, or once cameraReconnectTimeout passes without a camera.
+  async handleCameraLost(reason) {
+    if (!this.isRunning || this.cameraLoss) return;
+
+    this.cameraLoss = { camera: { ...this.activeCamera, reason }, reported: false, timer: null };
+    this.log(`Camera lost (${reason})`, "warning");
+    await this.closeCamera();
+    // stop() (or stop() and start()) may have run while the last frame finished
+    if (!this.isRunning || !this.cameraLoss) return;
+    this.suspendTracking();
+
+    if (!this.config.cameraReconnect) {
+      this.reportCameraLost();
       return;
     }
 
-    this.currentMeshResults = results;
+    this.cameraLoss.timer = setTimeout(() => this.reportCameraLost(), this.config.cameraReconnectTimeout);
+    await this.reconnectCamera();
+  }
 
-    if (this.isIdle && this.config.pauseOnIdle) {
+  reportCameraLost() {
+    if (!this.cameraLoss || this.cameraLoss.reported) return;
+
+    this.cameraLoss.reported = true;
+    const lost = this.cameraLoss.camera;
+    this.log("Camera lost and not reconnected", "error");
+    this.emit("cameraLost", lost);
+    this.emit("error", new GazerError(GAZER_ERROR_CODES.CAMERA_LOST, "Camera lost", lost));
+  }
+
+  // A camera is open again (or the session stopped): end the loss and its lost time
+  clearCameraLoss() {
+    if (!this.cameraLoss) return;
+
+    clearTimeout(this.cameraLoss.timer);
+    this.cameraLoss = null;
+    this.resumeTracking();
+  }
+
+  // Reopen the lost camera if it is listed again, otherwise any other camera. Retried on every devicechange.
+  async reconnectCamera() {
+    if (!this.cameraLoss || this.isReconnectingCamera || !this.config.cameraReconnect) return;
+
+    this.isReconnectingCamera = true;
+    try {
+      const cameras = await this.listCameras();
+      if (cameras.length === 0) return;
+
+      const lost = this.cameraLoss.camera;
+      const camera = cameras.find((candidate) => candidate.deviceId === lost.deviceId) || cameras[0];
+      this.config.deviceId = camera.deviceId || null;
+      await this.openCamera();
+      if (!this.isRunning) {
+        await this.closeCamera();
+        return;
+      }
+
+      this.clearCameraLoss();
+      this.handleVideoResize();
+
+      this.log(`Camera reconnected: ${this.activeCamera.label || this.activeCamera.deviceId || "default"}`, "success");
+      this.emit("cameraChange", { ...this.activeCamera, previousDeviceId: lost.deviceId, reason: "reconnect" });
+    } catch (error) {
+      this.log(`Camera reconnect failed: ${error.message}`, "warning");
+    } finally {
+      this.isReconnectingCamera = false;
+    }
+  }
+
+  // Take the snapshot requested while processing this frame, within the rate limit
+  captureRequestedSnapshot(image) {
+    if (this.pendingSnapshotTriggers.length === 0) return;
+
+    const triggers = this.pendingSnapshotTriggers;
+    this.pendingSnapshotTriggers = [];
+
+    const now = this.now();
+    if (this.lastSnapshotTime !== null && now - this.lastSnapshotTime < this.config.snapshotMinInterval) {
+      this.log(`Snapshot skipped (rate limit): ${triggers.map((trigger) => trigger.type).join(", ")}`, "info");
       return;
     }
+    this.lastSnapshotTime = now;
 
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      const landmarks = results.multiFaceLandmarks[0];
-      const gazeData = this.calculateGazeDirection(landmarks);
+    this.takeSnapshot({ image, triggers }).catch((error) => {
+      this.log(`Snapshot failed: ${error.message}`, "error");
+    });
+  }
 
-      if (gazeData) {
-        const smoothedGaze = this.smoothGazeDetection(gazeData);
-        
-        // Record retina position if tracking is enabled
-        this.recordRetinaPosition(gazeData);
-        
-        this.updateGazeStatus(smoothedGaze, gazeData);
+  // Capture the current frame as an image Blob. The frame is drawn synchronously, so the
+  // snapshot shows this frame even though encoding finishes later. Manual snapshots skip the rate limit.
+  async takeSnapshot(options = {}) {
+    const {
+      image = this.video,
+      triggers = [{ type: "manual" }],
+      includeOverlay = this.config.snapshotIncludeOverlay,
+      blurFaces = this.config.snapshotBlurFaces,
+    } = options;
+
+    const sourceWidth = image.videoWidth || image.displayWidth || image.width;
+    const sourceHeight = image.videoHeight || image.displayHeight || image.height;
+    if (!sourceWidth || !sourceHeight) {
+      throw new Error("No video frame to capture");
+    }
+
+    const timestamp = this.now();
+    const scale = Math.min(1, this.config.snapshotMaxWidth / sourceWidth);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(sourceWidth * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blurredFaces = this.blurSnapshotFaces(canvas, blurFaces);
+
+    // An overlay drawn in the worker (or recorded until the worker loads) can't be read back here
+    const overlay = Boolean(includeOverlay) && !(this.ctx instanceof OverlayCommandRecorder) &&
+      this.canvas.width > 0 && this.canvas.height > 0;
+    if (overlay) {
+      ctx.drawImage(this.canvas, 0, 0, canvas.width, canvas.height);
+    }
+
+    const encoded = await this.encodeSnapshot(canvas);
+    if (!encoded) {
+      throw new Error(`Snapshot does not fit in ${this.config.snapshotMaxBytes} bytes`);
+    }
+
+    const snapshot = {
+      id: createUniqueId(),
+      timestamp,
+      triggers,
+      blob: encoded.blob,
+      type: encoded.blob.type,
+      width: encoded.width,
+      height: encoded.height,
+      size: encoded.blob.size,
+      quality: encoded.quality,
+      overlay,
+      blurredFaces,
+    };
+
+    // Tracking data gets a reference only; the image itself goes out through the snapshot event
+    this.intervalSnapshots.push({
+      id: snapshot.id,
+      timestamp: snapshot.timestamp,
+      triggers: snapshot.triggers,
+      size: snapshot.size,
+      type: snapshot.type,
+    });
+    this.log(`Snapshot captured (${triggers.map((trigger) => trigger.type).join(", ")}, ${Math.round(snapshot.size / 1024)} KB)`, "info");
+    this.emit("snapshot", snapshot);
+    return snapshot;
+  }
+
+  // Pixelate tracked faces: "others" keeps the primary face, "all" hides everyone. Returns the number pixelated.
+  blurSnapshotFaces(canvas, mode) {
+    if (mode !== "others" && mode !== "all") return 0;
+
+    const faces = this.faceTracker.tracks.filter((track) =>
+      track.visible && (mode === "all" || track.id !== this.primaryFaceId));
+    if (faces.length === 0) return 0;
+
+    const ctx = canvas.getContext("2d");
+    const tiny = document.createElement("canvas");
+    const tinyCtx = tiny.getContext("2d");
+
+    faces.forEach((face) => {
+      // Pad the box so hair and chin are covered too
+      const box = face.boundingBox;
+      const width = box.width * 1.4 * canvas.width;
+      const height = box.height * 1.4 * canvas.height;
+      const x = Math.max(0, box.xCenter * canvas.width - width / 2);
+      const y = Math.max(0, box.yCenter * canvas.height - height / 2);
+      const w = Math.min(canvas.width - x, width);
+      const h = Math.min(canvas.height - y, height);
+      if (w <= 0 || h <= 0) return;
+
+      // Shrink to ~8 blocks across, then scale back up without smoothing
+      tiny.width = 8;
+      tiny.height = Math.max(1, Math.round(8 * h / w));
+      tinyCtx.drawImage(canvas, x, y, w, h, 0, 0, tiny.width, tiny.height);
+      ctx.save();
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(tiny, 0, 0, tiny.width, tiny.height, x, y, w, h);
+      ctx.restore();
+    });
+
+    return faces.length;
+  }
 
-        if (this.config.showGazeVector || this.config.showEyePoints) {
-          this.drawGazeIndicators(landmarks, gazeData);
+  // Encode within snapshotMaxBytes: lower the quality first, then the resolution. Null if it can't fit.
+  async encodeSnapshot(canvas) {
+    const toBlob = (source, type, quality) => new Promise((resolve) => source.toBlob(resolve, type, quality));
+
+    let type = this.config.snapshotFormat;
+    let current = canvas;
+    for (let step = 0; step < 4; step++) {
+      for (let quality = this.config.snapshotQuality; quality >= 0.3; quality -= 0.15) {
+        const blob = await toBlob(current, type, quality);
+        if (!blob) {
+          throw new Error("Could not encode the snapshot");
         }
-      }
-    } else {
-      this.updateGazeStatus("unknown", null);
-    }
-  }
 
-  // Update gaze status
-  updateGazeStatus(gazeState, gazeData) {
-    const now = Date.now();
+        // Browsers without WebP encoding fall back to PNG
+        if (blob.type !== type && type !== "image/jpeg") {
+          this.log(`${type} encoding is not supported, using image/jpeg`, "warning");
+          type = "image/jpeg";
+          quality += 0.15;
+          continue;
+        }
 
-    if (gazeState !== this.lastGazeState) {
-      if (gazeState === "screen") {
-        this.log("Person looking at screen", "gaze");
-      } else if (gazeState === "away") {
-        this.log("Person looking away from screen", "gaze");
-      } else {
-        this.log("Gaze direction unknown", "info");
+        if (blob.size <= this.config.snapshotMaxBytes) {
+          return { blob, width: current.width, height: current.height, quality: Math.round(quality * 100) / 100 };
+        }
       }
-      this.lastGazeState = gazeState;
 
-      if (this.config.onGazeChange) {
-        this.config.onGazeChange(gazeState, gazeData);
-      }
+      const smaller = document.createElement("canvas");
+      smaller.width = Math.max(1, Math.round(current.width * 0.75));
+      smaller.height = Math.max(1, Math.round(current.height * 0.75));
+      smaller.getContext("2d").drawImage(current, 0, 0, smaller.width, smaller.height);
+      current = smaller;
     }
 
-    // Track distracted time
-    const isDistracted = gazeState === "away";
-
-    if (isDistracted && this.distractedStartTime === null) {
-      this.distractedStartTime = now;
-    } else if (!isDistracted && this.distractedStartTime !== null) {
-      this.totalDistractedTime += now - this.distractedStartTime;
-      this.distractedStartTime = null;
-    }
+    return null;
+  }
 
-    let currentDistractedTime = this.totalDistractedTime;
-    if (this.distractedStartTime !== null) {
-      currentDistractedTime += now - this.distractedStartTime;
+  // Redraw the face rectangles
+  renderOverlay(faces) {
+    this.canvasUpdates++;
+    this.ctx.clearRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+    if (faces.length > 0 && this.config.showFaceRectangle) {
+      this.drawFaces(faces);
     }
   }
 
@@ -666,12 +6308,16 @@ class Gazer {
       const bbox = detection.boundingBox || detection.bbox;
       if (!bbox) return;
 
+      // Label with the stable face ID when the detection matches a tracked face
+      const track = this.faceTracker.findTrack(bbox);
+      const label = track ? `Face #${track.id}` : `Face ${index + 1}`;
+
       // Convert normalized coordinates (0-1) to canvas coordinates
       // The detection coordinates are relative to the video resolution, not display size
-      const x = (bbox.xCenter - bbox.width / 2) * this.canvas.width;
-      const y = (bbox.yCenter - bbox.height / 2) * this.canvas.height;
-      const width = bbox.width * this.canvas.width;
-      const height = bbox.height * this.canvas.height;
+      const x = (bbox.xCenter - bbox.width / 2) * this.ctx.canvas.width;
+      const y = (bbox.yCenter - bbox.height / 2) * this.ctx.canvas.height;
+      const width = bbox.width * this.ctx.canvas.width;
+      const height = bbox.height * this.ctx.canvas.height;
 
       // Draw face rectangle
       this.ctx.strokeStyle = "#00ff00";
@@ -697,7 +6343,7 @@ class Gazer {
       
       // Position label above the rectangle, with padding
       const labelY = Math.max(20, y - 5); // Ensure label doesn't go off-screen
-      this.ctx.fillText(`Face ${index + 1}: ${confidence}%`, x, labelY);
+      this.ctx.fillText(`${label}: ${confidence}%`, x, labelY);
     });
   }
 
@@ -705,17 +6351,18 @@ class Gazer {
   // Fixed drawGazeIndicators method with proper coordinate mapping
   drawGazeIndicators(landmarks, gazeData) {
     if (!landmarks || !gazeData) return;
+    if (!this.config.showGazeVector && !this.config.showEyePoints) return;
 
     // Draw eye points
     if (this.config.showEyePoints) {
       const leftEyeCenter = {
-        x: gazeData.leftEyeCenter.x * this.canvas.width,
-        y: gazeData.leftEyeCenter.y * this.canvas.height,
+        x: gazeData.leftEyeCenter.x * this.ctx.canvas.width,
+        y: gazeData.leftEyeCenter.y * this.ctx.canvas.height,
       };
 
       const rightEyeCenter = {
-        x: gazeData.rightEyeCenter.x * this.canvas.width,
-        y: gazeData.rightEyeCenter.y * this.canvas.height,
+        x: gazeData.rightEyeCenter.x * this.ctx.canvas.width,
+        y: gazeData.rightEyeCenter.y * this.ctx.canvas.height,
       };
 
       // Set color based on gaze direction
@@ -737,19 +6384,35 @@ class Gazer {
       this.ctx.arc(rightEyeCenter.x, rightEyeCenter.y, 6, 0, 2 * Math.PI);
       this.ctx.fill();
       this.ctx.stroke();
+
+      // Draw iris centers when refined landmarks are available
+      if (gazeData.leftIris && gazeData.rightIris) {
+        this.ctx.fillStyle = "#00ccff";
+        [gazeData.leftIris, gazeData.rightIris].forEach((iris) => {
+          this.ctx.beginPath();
+          this.ctx.arc(iris.x * this.ctx.canvas.width, iris.y * this.ctx.canvas.height, 3, 0, 2 * Math.PI);
+          this.ctx.fill();
+        });
+      }
     }
 
     // Draw gaze vector
     if (this.config.showGazeVector && gazeData.faceCenter) {
       const faceCenter = {
-        x: gazeData.faceCenter.x * this.canvas.width,
-        y: gazeData.faceCenter.y * this.canvas.height,
+        x: gazeData.faceCenter.x * this.ctx.canvas.width,
+        y: gazeData.faceCenter.y * this.ctx.canvas.height,
       };
 
       // Calculate vector endpoint with proper scaling
       const vectorLength = 80; // Increased for better visibility
-      const endX = faceCenter.x + gazeData.horizontal * vectorLength;
-      const endY = faceCenter.y + gazeData.vertical * vectorLength;
+      let endX = faceCenter.x + gazeData.horizontal * vectorLength;
+      let endY = faceCenter.y + gazeData.vertical * vectorLength;
+
+      // Point along the head direction when head pose is available
+      if (gazeData.yaw !== null && gazeData.yaw !== undefined) {
+        endX = faceCenter.x + Math.sin(gazeData.yaw * Math.PI / 180) * vectorLength;
+        endY = faceCenter.y - Math.sin(gazeData.pitch * Math.PI / 180) * vectorLength;
+      }
 
       // Set color and style based on gaze direction
       const vectorColor = gazeData.direction === "screen" ? "#00ff00" : "#ff6600";
@@ -788,155 +6451,244 @@ class Gazer {
     }
   }
 
-  // Update statistics
-  updateStats(faces) {
-    const now = Date.now();
-    this.faceCount = faces.length;
-    const isAway = this.faceCount === 0;
-
-    if (this.faceCount !== this.lastFaceCount) {
-      // Increment face count change counter
-      this.faceCountChanges++;
-      
-      if (this.faceCount === 0) {
-        this.log("No person detected (looking away or left)", "warning");
-      } else if (this.faceCount > 1) {
-        this.log(`Multiple people detected (${this.faceCount} faces)`, "info");
-      } else if (this.faceCount === 1 && this.lastFaceCount !== 1) {
-        this.log("Person detected and present", "success");
+  // Target positions (normalized viewport coordinates) for a calibration run
+  getCalibrationTargets(points) {
+    const margin = 0.1;
+    const grid = (size) => {
+      const targets = [];
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          targets.push({
+            x: margin + (col * (1 - 2 * margin)) / (size - 1),
+            y: margin + (row * (1 - 2 * margin)) / (size - 1),
+          });
+        }
       }
-      this.lastFaceCount = this.faceCount;
+      return targets;
+    };
 
-      if (this.config.onFaceDetected) {
-        this.config.onFaceDetected(faces);
-      }
+    switch (points) {
+      case 5:
+        return [{ x: 0.5, y: 0.5 }, ...grid(2)];
+      case 9:
+        return grid(3);
+      case 13:
+        return [...grid(3), { x: 0.3, y: 0.3 }, { x: 0.7, y: 0.3 }, { x: 0.3, y: 0.7 }, { x: 0.7, y: 0.7 }];
+      case 16:
+        return grid(4);
+      default:
+        throw new Error(`Unsupported calibration point count ${points}. Use 5, 9, 13 or 16`);
     }
+  }
 
-    let avgConfidence = 0;
-    if (faces.length > 0) {
-      let totalConfidence = 0;
-      faces.forEach((face) => {
-        if (face.score && face.score.length > 0) {
-          totalConfidence += face.score[0];
-        } else if (face.score) {
-          totalConfidence += face.score;
-        } else if (face.confidence) {
-          totalConfidence += face.confidence;
-        } else {
-          totalConfidence += 0.85;
-        }
-      });
-      avgConfidence = totalConfidence / faces.length;
-    }
+  // Full-viewport overlay with a single moving target
+  createCalibrationOverlay(container) {
+    const overlay = document.createElement("div");
+    overlay.style.position = "fixed";
+    overlay.style.top = "0";
+    overlay.style.left = "0";
+    overlay.style.width = "100%";
+    overlay.style.height = "100%";
+    overlay.style.background = "rgba(0, 0, 0, 0.85)";
+    overlay.style.zIndex = "10000";
+    overlay.style.cursor = "none";
+
+    const target = document.createElement("div");
+    target.style.position = "absolute";
+    target.style.width = "24px";
+    target.style.height = "24px";
+    target.style.margin = "-12px 0 0 -12px";
+    target.style.borderRadius = "50%";
+    target.style.background = "#ff3366";
+    target.style.border = "4px solid #ffffff";
+    target.style.boxSizing = "border-box";
+    target.style.transition = "left 0.3s, top 0.3s";
+
+    overlay.appendChild(target);
+    container.appendChild(overlay);
+
+    return { overlay, target };
+  }
 
-    if (isAway && this.awayStartTime === null) {
-      this.awayStartTime = now;
-    } else if (!isAway && this.awayStartTime !== null) {
-      this.totalAwayTime += now - this.awayStartTime;
-      this.awayStartTime = null;
+  // Wait during calibration, aborting if it was cancelled
+  async waitForCalibration(ms) {
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    if (this.calibrationSession && this.calibrationSession.cancelled) {
+      throw new GazerError(GAZER_ERROR_CODES.CALIBRATION_CANCELLED, "Calibration cancelled");
     }
+  }
 
-    let currentAwayTime = this.totalAwayTime;
-    if (this.awayStartTime !== null) {
-      currentAwayTime += now - this.awayStartTime;
+  // Show targets, collect gaze features at each, fit a regression model and report its accuracy
+  async calibrate(options = {}) {
+    if (!this.isRunning) {
+      throw new Error("Start tracking before calibrating");
     }
-
-    let currentDistractedTime = this.totalDistractedTime;
-    if (this.distractedStartTime !== null) {
-      currentDistractedTime += now - this.distractedStartTime;
+    if (this.calibrationSession) {
+      throw new Error("Calibration already in progress");
     }
 
-    const stats = {
-      faceCount: this.faceCount,
-      awayTime: Math.floor(currentAwayTime / 1000),
-      distractedTime: Math.floor(currentDistractedTime / 1000),
-      confidence: Math.round(avgConfidence * 100),
-      processingFps: this.processingFps,
-      framesSkipped: this.framesSkipped,
-      canvasUpdates: this.canvasUpdates,
-      gazeState: this.lastGazeState,
-      isIdle: this.isIdle,
-      faceCountChanges: this.faceCountChanges,
-      retinaLocationCount: this.config.trackRetinaLocations ? this.retinaLocations.length : 0
-    };
+    const {
+      points = 9,
+      settleTime = 800, // ms to let the eyes land on a target before sampling
+      sampleTime = 1200, // ms of samples collected per target
+      minSamples = 5,
+      container = document.body,
+      onPoint = null,
+    } = options;
+
+    const targets = this.getCalibrationTargets(points);
+    const ui = this.createCalibrationOverlay(container);
+    this.calibrationSession = { collecting: null, cancelled: false };
+
+    this.log(`Calibration started with ${targets.length} points`, "info");
+
+    try {
+      const collected = [];
+
+      for (let i = 0; i < targets.length; i++) {
+        const target = targets[i];
+        ui.target.style.left = `${target.x * 100}%`;
+        ui.target.style.top = `${target.y * 100}%`;
+
+        if (onPoint) {
+          onPoint({ index: i, total: targets.length, target });
+        }
+
+        await this.waitForCalibration(settleTime);
+        this.calibrationSession.collecting = { samples: [] };
+        await this.waitForCalibration(sampleTime);
+
+        const samples = this.calibrationSession.collecting.samples;
+        this.calibrationSession.collecting = null;
+
+        if (samples.length < minSamples) {
+          throw new GazerError(
+            GAZER_ERROR_CODES.CALIBRATION_FAILED,
+            `Only ${samples.length} gaze samples at calibration point ${i + 1} - keep your face visible and look at the target`,
+            { point: i, samples: samples.length }
+          );
+        }
+
+        collected.push({ target, samples });
+      }
+
+      // Prefer iris-corrected features when every sample has them
+      const source = collected.every((point) => point.samples.every((sample) => sample.eye)) ? "eye" : "head";
+      const model = GazeCalibrationModel.fit(this.getCalibrationTraining(collected, source), source);
+      const calibration = {
+        version: 1,
+        createdAt: Date.now(),
+        points: targets.length,
+        viewport: this.getViewportSize(),
+        model: model.toJSON(),
+        accuracy: this.evaluateCalibration(collected, source),
+      };
+
+      this.setCalibration(calibration);
+      this.log(`Calibration complete - mean error ${calibration.accuracy.meanError}px, max ${calibration.accuracy.maxError}px (${source} features)`, "success");
 
-    if (this.config.onStatsUpdate) {
-      this.config.onStatsUpdate(stats);
+      return calibration;
+    } catch (error) {
+      this.log("Calibration error: " + error.message, "error");
+      this.emit("error", error);
+      throw error;
+    } finally {
+      this.calibrationSession = null;
+      if (ui.overlay.parentNode) {
+        ui.overlay.parentNode.removeChild(ui.overlay);
+      }
     }
   }
 
-  // Start tracking data timer
-  startTrackingDataTimer() {
-    if (this.config.postTrackingDataInterval <= 0 || !this.config.onPostTrackingData) {
-      return;
+  // Abort a running calibrate() call
+  cancelCalibration() {
+    if (this.calibrationSession) {
+      this.calibrationSession.cancelled = true;
     }
+  }
 
-    this.stopTrackingDataTimer(); // Clear any existing timer
-    
-    const intervalMs = this.config.postTrackingDataInterval * 1000;
-    this.trackingDataTimer = setInterval(() => {
-      this.postTrackingData();
-    }, intervalMs);
-    
-    this.log(`Tracking data timer started - posting every ${this.config.postTrackingDataInterval} seconds`, "info");
+  getCalibrationTraining(collected, source) {
+    const training = [];
+    collected.forEach((point) => {
+      point.samples.forEach((sample) => training.push({ features: sample[source], target: point.target }));
+    });
+    return training;
   }
 
-  // Stop tracking data timer
-  stopTrackingDataTimer() {
-    if (this.trackingDataTimer) {
-      clearInterval(this.trackingDataTimer);
-      this.trackingDataTimer = null;
-      this.log("Tracking data timer stopped", "info");
-    }
+  // Leave-one-point-out error: each target is predicted by a model fitted to the other targets only,
+  // so the numbers reflect targets the model has not seen. In pixels of the current viewport.
+  evaluateCalibration(collected, source) {
+    const viewport = this.getViewportSize();
+
+    const points = collected.map((point, index) => {
+      const others = collected.filter((other, otherIndex) => otherIndex !== index);
+      const model = GazeCalibrationModel.fit(this.getCalibrationTraining(others, source), source);
+      const predictions = point.samples.map((sample) => model.predictFeatures(sample[source]));
+      const predicted = {
+        x: predictions.reduce((sum, p) => sum + p.x, 0) / predictions.length,
+        y: predictions.reduce((sum, p) => sum + p.y, 0) / predictions.length,
+      };
+      const error = Math.hypot(
+        (predicted.x - point.target.x) * viewport.width,
+        (predicted.y - point.target.y) * viewport.height
+      );
+      return { target: point.target, predicted, error: Math.round(error * 10) / 10 };
+    });
+
+    const errors = points.map((point) => point.error);
+    return {
+      meanError: Math.round((errors.reduce((sum, e) => sum + e, 0) / errors.length) * 10) / 10,
+      maxError: Math.max(...errors),
+      points,
+    };
   }
 
-  // Post tracking data via callback
-  postTrackingData() {
-    if (!this.config.onPostTrackingData) {
-      return;
+  getViewportSize() {
+    if (typeof window !== "undefined" && window.innerWidth) {
+      return { width: window.innerWidth, height: window.innerHeight };
     }
+    return super.getViewportSize();
+  }
 
-    const now = Date.now();
-    
-    let currentAwayTime = this.totalAwayTime;
-    if (this.awayStartTime !== null) {
-      currentAwayTime += now - this.awayStartTime;
-    }
+  // Show the current heatmap over the whole page, redrawn every refreshInterval ms (0 = draw once)
+  showHeatmapOverlay(options = {}) {
+    const { refreshInterval = 1000, ...renderOptions } = options;
+    this.hideHeatmapOverlay();
 
-    let currentDistractedTime = this.totalDistractedTime;
-    if (this.distractedStartTime !== null) {
-      currentDistractedTime += now - this.distractedStartTime;
-    }
+    const canvas = document.createElement("canvas");
+    canvas.style.position = "fixed";
+    canvas.style.top = "0";
+    canvas.style.left = "0";
+    canvas.style.width = "100vw";
+    canvas.style.height = "100vh";
+    canvas.style.pointerEvents = "none";
+    canvas.style.zIndex = "9999";
+    document.body.appendChild(canvas);
 
-    const trackingData = {
-      timestamp: now,
-      sessionDuration: Math.floor((now - this.lastTrackingDataPost) / 1000),
-      faceCountChanges: this.faceCountChanges,
-      totalAwayTime: Math.floor(currentAwayTime / 1000),
-      totalDistractedTime: Math.floor(currentDistractedTime / 1000),
-      currentFaceCount: this.faceCount,
-      currentGazeState: this.lastGazeState,
-      processingFps: this.processingFps,
-      framesSkipped: this.framesSkipped,
-      canvasUpdates: this.canvasUpdates,
-      isRunning: this.isRunning,
-      isIdle: this.isIdle,
-      retinaLocations: this.config.trackRetinaLocations ? [...this.retinaLocations] : []
+    const draw = () => {
+      canvas.width = window.innerWidth;
+      canvas.height = window.innerHeight;
+      this.getHeatmap().render(canvas, renderOptions);
     };
+    draw();
 
-    this.log(`Posting tracking data - Face changes: ${this.faceCountChanges}, Away time: ${trackingData.totalAwayTime}s, Distracted time: ${trackingData.totalDistractedTime}s, Retina locations: ${trackingData.retinaLocations.length}`, "info");
-    
-    // Reset counters for next interval
-    this.faceCountChanges = 0;
-    this.lastTrackingDataPost = now;
-    
-    // Reset retina locations array for next interval
-    if (this.config.trackRetinaLocations) {
-      this.retinaLocations = [];
+    this.heatmapOverlay = {
+      canvas,
+      timer: refreshInterval > 0 ? setInterval(draw, refreshInterval) : null,
+    };
+    return canvas;
+  }
+
+  hideHeatmapOverlay() {
+    if (!this.heatmapOverlay) return;
+
+    if (this.heatmapOverlay.timer) {
+      clearInterval(this.heatmapOverlay.timer);
     }
-    
-    // Call the callback with the tracking data
-    this.config.onPostTrackingData(trackingData);
+    if (this.heatmapOverlay.canvas.parentNode) {
+      this.heatmapOverlay.canvas.parentNode.removeChild(this.heatmapOverlay.canvas);
+    }
+    this.heatmapOverlay = null;
   }
 
   // Public API methods
@@ -945,29 +6697,15 @@ class Gazer {
     if (!this.isModelLoaded) {
       throw new Error("MediaPipe models not loaded yet");
     }
+    if (this.isOffline) {
+      throw new Error("Cannot start the camera during replay or video analysis");
+    }
 
     try {
       this.log("Starting camera with gaze tracking...", "info");
 
-      let lastProcessTime = 0;
-      const frameInterval = 1000 / this.config.targetFps;
-
-      this.camera = new Camera(this.video, {
-        onFrame: async () => {
-          if (!this.isRunning) return;
-
-          const now = Date.now();
-          if (now - lastProcessTime >= frameInterval) {
-            await this.faceDetection.send({ image: this.video });
-            await this.faceMesh.send({ image: this.video });
-            lastProcessTime = now;
-          }
-        },
-        width: this.config.cameraWidth,
-        height: this.config.cameraHeight,
-      });
-
-      await this.camera.start();
+      await this.getCameraPermission();
+      await this.openCamera();
 
       // Set initial canvas size
       this.updateCanvasSize();
@@ -989,22 +6727,127 @@ class Gazer {
         this.videoResizeObserver.observe(this.video);
       }
 
+      // Notice unplugged and re-plugged cameras
+      if (typeof navigator !== "undefined" && navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        this.deviceChangeListener = () => this.handleDeviceChange().catch((error) => {
+          this.log(`Camera device change handling failed: ${error.message}`, "error");
+        });
+        navigator.mediaDevices.addEventListener("devicechange", this.deviceChangeListener);
+      }
+
       this.isRunning = true;
       
       // Start tracking data timer if configured
       this.startTrackingDataTimer();
       
       this.log("Camera started successfully", "success");
+      this.emit("started");
 
     } catch (error) {
       this.log("Camera error: " + error.message, "error");
-      if (this.config.onError) {
-        this.config.onError(error);
-      }
+      this.emit("cameraError", error);
+      this.emit("error", error);
       throw error;
     }
   }
 
+  // Open the configured camera and feed its frames to processFrame. Used by start(), switchCamera() and
+  // reconnects, none of which touch the session state.
+  async openCamera() {
+    let lastProcessTime = 0;
+
+    const camera = this.backend.createCamera(this.video, {
+      onFrame: async () => {
+        // Frames still arriving from a camera that is being closed are dropped
+        if (!this.isRunning || this.camera !== camera) return;
+
+        const now = Date.now();
+        // Read per frame so frame rate changes (manual or auto) apply while running
+        if (now - lastProcessTime >= 1000 / this.config.targetFps) {
+          lastProcessTime = now;
+          if (this.shouldProcessFrame()) {
+            this.frameInFlight = this.processFrame(this.video, now);
+            try {
+              await this.frameInFlight;
+            } finally {
+              this.frameInFlight = null;
+            }
+          }
+        }
+      },
+      width: this.config.cameraWidth,
+      height: this.config.cameraHeight,
+      deviceId: this.config.deviceId,
+      facingMode: this.config.facingMode,
+    });
+    this.camera = camera;
+
+    try {
+      await this.camera.start();
+    } catch (error) {
+      // Release whatever was opened before the failure
+      try {
+        await this.camera.stop();
+      } catch (stopError) {
+        // Nothing was opened
+      }
+      this.camera = null;
+      const cameraError = GazerCamera.toGazerError(error);
+      if (cameraError.code === GAZER_ERROR_CODES.CAMERA_PERMISSION_DENIED) {
+        this.setCameraPermission("denied");
+      }
+      throw cameraError;
+    }
+
+    this.setCameraPermission("granted");
+    this.watchCameraTrack();
+
+    // Auto mode starts measuring afresh, from the resolution the camera actually delivers
+    if (this.performanceController) {
+      this.performanceController = this.createPerformanceController();
+    }
+  }
+
+  async closeCamera() {
+    if (this.cameraTrack) {
+      this.cameraTrack.removeEventListener("ended", this.cameraTrackEndedListener);
+      this.cameraTrack = null;
+      this.cameraTrackEndedListener = null;
+    }
+    if (this.camera) {
+      const camera = this.camera;
+      this.camera = null;
+
+      // Let a frame that is already being processed finish before its stream goes away
+      if (this.frameInFlight) {
+        try {
+          await this.frameInFlight;
+        } catch (error) {
+          // Reported by the frame loop
+        }
+      }
+      await camera.stop();
+    }
+  }
+
+  // Remember which device is open and notice when its track ends (unplugged, revoked, taken by the OS)
+  watchCameraTrack() {
+    const stream = this.video.srcObject;
+    const track = stream && stream.getVideoTracks ? stream.getVideoTracks()[0] : null;
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    this.activeCamera = {
+      deviceId: settings.deviceId || this.config.deviceId || null,
+      label: track ? track.label : "",
+    };
+
+    if (!track) return;
+    this.cameraTrack = track;
+    this.cameraTrackEndedListener = () => this.handleCameraLost("ended").catch((error) => {
+      this.log(`Camera loss handling failed: ${error.message}`, "error");
+    });
+    track.addEventListener("ended", this.cameraTrackEndedListener);
+  }
+
 
   // Updated stop method to clean up all listeners
   async stop() {
@@ -1012,13 +6855,20 @@ class Gazer {
 
     // Stop tracking data timer
     this.stopTrackingDataTimer();
-
-    if (this.camera) {
-      await this.camera.stop();
-      this.camera = null;
+    
+    // Queue the last interval so the transport doesn't lose it
+    if (this.transport) {
+      this.postPendingTrackingData();
     }
 
+    await this.closeCamera();
+    this.clearCameraLoss();
+
     // Remove all event listeners
+    if (this.deviceChangeListener) {
+      navigator.mediaDevices.removeEventListener("devicechange", this.deviceChangeListener);
+      this.deviceChangeListener = null;
+    }
     if (this.resizeListener) {
       window.removeEventListener('resize', this.resizeListener);
       this.video.removeEventListener('loadedmetadata', this.resizeListener);
@@ -1039,83 +6889,189 @@ class Gazer {
       this.resizeTimeout = null;
     }
 
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.clearRect(0, 0, this.ctx.canvas.width, this.ctx.canvas.height);
+    this.flushOverlay();
 
-    // Reset all tracking states
-    this.faceCount = 0;
-    this.lastFaceCount = -1;
-    this.awayStartTime = null;
-    this.totalAwayTime = 0;
-    this.distractedStartTime = null;
-    this.totalDistractedTime = 0;
-    this.faceCountChanges = 0;
-    this.currentFaces = [];
-    this.lastGazeState = null;
-    this.gazeHistory = [];
-    this.frameCounter = 0;
-    this.framesSkipped = 0;
-    this.canvasUpdates = 0;
-    this.isIdle = false;
-    
-    // Reset retina tracking
-    this.retinaLocations = [];
-    this.lastRetinaPosition = null;
-    this.lastRetinaLocationRecord = Date.now();
+    this.flushEyeMovements();
+    this.flushIncidents();
+    this.resetTrackingState();
 
     this.log("Camera stopped", "info");
+    this.emit("stopped");
   }
 
-  // Configuration methods
-  updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
-    this.log("Configuration updated", "info");
-  }
+  // Step through a pre-recorded video frame by frame, using media timestamps as the clock.
+  // source: a video element (defaults to the tracked one), a Blob/File, or a URL.
+  // Resolves with the session report once the end of the video (or endTime) is reached.
+  async analyzeVideo(source = this.video, options = {}) {
+    if (!this.isModelLoaded) {
+      throw new Error("MediaPipe models not loaded yet");
+    }
+    if (this.isRunning) {
+      throw new Error("Stop live tracking before analyzing a video");
+    }
+    if (this.isOffline) {
+      throw new Error("Replay or video analysis already in progress");
+    }
 
-  getConfig() {
-    return { ...this.config };
-  }
+    const { fps = this.config.targetFps, startTime = 0, endTime = null, onProgress = null, seekTimeout = 10000 } = options;
 
-  // NEW: Live control methods for HTML interface
-  setFrameRate(fps) {
-    const newFps = Math.max(5, Math.min(30, parseInt(fps)));
-    this.config.targetFps = newFps;
-    this.log(`Frame rate changed to ${newFps} FPS`, "info");
-  }
+    // Claim the pipeline before the first await, so no frame or performance measurement counts as live
+    this.isOffline = true;
+    let opened = null;
 
-  setFrameSkip(skip) {
-    const newSkip = Math.max(1, Math.min(5, parseInt(skip)));
-    this.config.frameSkip = newSkip;
-    this.log(`Frame skip changed to process every ${newSkip} frame(s)`, "info");
+    try {
+      opened = await this.openVideoSource(source, seekTimeout);
+      const { video } = opened;
+      const duration = await this.getVideoDuration(video, seekTimeout);
+      const from = Math.max(0, startTime);
+      const to = endTime !== null ? Math.min(endTime, duration) : duration;
+      const frameStep = 1 / fps;
+      const totalFrames = Math.max(0, Math.floor((to - from) / frameStep) + 1);
+
+      this.analysisCancelled = false;
+      this.beginOfflineSession(Math.round(from * 1000), { width: video.videoWidth, height: video.videoHeight });
+      this.log(`Analyzing video (${duration.toFixed(1)}s, ~${totalFrames} frames at ${fps} fps)`, "info");
+
+      let framesAnalyzed = 0;
+      for (let i = 0; i < totalFrames && !this.analysisCancelled; i++) {
+        await this.seekVideo(video, Math.min(from + i * frameStep, to), seekTimeout);
+
+        // Media time of the decoded frame drives every timer in the pipeline
+        this.virtualTime = Math.round(video.currentTime * 1000);
+        await this.processFrame(video, this.virtualTime);
+        framesAnalyzed++;
+
+        if (onProgress) {
+          onProgress(framesAnalyzed, totalFrames);
+        }
+      }
+
+      this.flushEyeMovements();
+      this.flushIncidents();
+      const report = {
+        source: { duration, width: video.videoWidth, height: video.videoHeight },
+        startTime: Math.round(from * 1000),
+        endTime: this.now(),
+        framesAnalyzed,
+        cancelled: this.analysisCancelled,
+        stats: this.getStats(),
+      };
+
+      // Deliver the last partial interval so no retina locations are lost
+      this.postTrackingData();
+
+      this.log(`Video analysis ${report.cancelled ? "cancelled" : "finished"} (${framesAnalyzed} frames)`, "success");
+      this.emit("analysisComplete", report);
+      return report;
+    } finally {
+      this.endOfflineSession();
+      if (opened) {
+        opened.release();
+      }
+    }
   }
 
-  setPauseOnIdle(enabled) {
-    this.config.pauseOnIdle = Boolean(enabled);
-    this.log(`Pause on idle ${enabled ? 'enabled' : 'disabled'}`, "info");
+  // Stop a running analyzeVideo() after the current frame; it still resolves with a report
+  cancelAnalysis() {
+    this.analysisCancelled = true;
   }
 
-  setReducedCanvas(enabled) {
-    this.config.reducedCanvas = Boolean(enabled);
-    this.log(`Reduced canvas updates ${enabled ? 'enabled' : 'disabled'}`, "info");
+  // Resolve a video source to a paused element with metadata, plus a function that undoes our changes
+  async openVideoSource(source, timeout) {
+    let video = source;
+    let objectUrl = null;
+
+    if (typeof source === "string" || (typeof Blob !== "undefined" && source instanceof Blob)) {
+      video = document.createElement("video");
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = "auto";
+      if (typeof source === "string") {
+        video.crossOrigin = "anonymous";
+        video.src = source;
+      } else {
+        objectUrl = URL.createObjectURL(source);
+        video.src = objectUrl;
+      }
+    }
+
+    if (!video || typeof video.currentTime !== "number") {
+      throw new Error("analyzeVideo() needs a video element, Blob or URL");
+    }
+
+    const wasPaused = video.paused;
+    const previousTime = video.currentTime;
+    video.pause();
+
+    if (video.readyState < 1) {
+      await this.waitForVideoEvent(video, "loadedmetadata", timeout, "Video could not be loaded").catch((error) => {
+        if (objectUrl) URL.revokeObjectURL(objectUrl);
+        throw error;
+      });
+    }
+
+    const release = () => {
+      if (objectUrl) {
+        video.removeAttribute("src");
+        video.load();
+        URL.revokeObjectURL(objectUrl);
+      } else if (video !== source) {
+        video.removeAttribute("src");
+      } else {
+        video.currentTime = previousTime;
+        if (!wasPaused) {
+          video.play().catch(() => {});
+        }
+      }
+    };
+
+    return { video, release };
   }
 
-  setHorizontalThreshold(threshold) {
-    const newThreshold = Math.max(0.1, Math.min(1.0, parseFloat(threshold)));
-    this.config.horizontalThreshold = newThreshold;
-    this.log(`Horizontal gaze threshold changed to ${newThreshold}`, "info");
+  // Recordings from MediaRecorder often report an infinite duration until the end has been seeked to
+  async getVideoDuration(video, timeout) {
+    if (Number.isFinite(video.duration)) {
+      return video.duration;
+    }
+    await this.seekVideo(video, Number.MAX_SAFE_INTEGER, timeout);
+    const duration = video.duration;
+    await this.seekVideo(video, 0, timeout);
+    return Number.isFinite(duration) ? duration : video.currentTime;
   }
 
-  setVerticalThreshold(threshold) {
-    const newThreshold = Math.max(0.05, Math.min(0.5, parseFloat(threshold)));
-    this.config.verticalThreshold = newThreshold;
-    this.log(`Vertical gaze threshold changed to ${newThreshold}`, "info");
+  seekVideo(video, time, timeout = 10000) {
+    const seeked = this.waitForVideoEvent(video, "seeked", timeout, `Video could not be decoded at ${time}s`);
+    video.currentTime = time;
+    return seeked;
   }
 
-  setGazeHistorySize(size) {
-    const newSize = Math.max(2, Math.min(10, parseInt(size)));
-    this.config.gazeHistorySize = newSize;
-    // Clear existing history to apply new size immediately
-    this.gazeHistory = [];
-    this.log(`Gaze smoothing changed to ${newSize} frames`, "info");
+  // Resolve on `event`; reject on the element's error event or after timeout ms (0 = no limit)
+  waitForVideoEvent(video, event, timeout, message) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const cleanup = () => {
+        clearTimeout(timer);
+        video.removeEventListener(event, onEvent);
+        video.removeEventListener("error", onError);
+      };
+      const onEvent = () => {
+        cleanup();
+        resolve();
+      };
+      const onError = () => {
+        cleanup();
+        reject(new Error(message));
+      };
+      video.addEventListener(event, onEvent);
+      video.addEventListener("error", onError);
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          cleanup();
+          reject(new Error(`${message} (no "${event}" within ${timeout}ms)`));
+        }, timeout);
+      }
+    });
   }
 
   setShowGazeVector(enabled) {
@@ -1133,198 +7089,33 @@ class Gazer {
     this.log(`Face rectangle ${enabled ? 'enabled' : 'disabled'}`, "info");
   }
 
-  setEnableLogs(enabled) {
-    this.config.enableLogs = Boolean(enabled);
-    this.log(`Console logging ${enabled ? 'enabled' : 'disabled'}`, "info");
-  }
-
-  // Retina tracking configuration methods
-  setTrackRetinaLocations(enabled) {
-    this.config.trackRetinaLocations = Boolean(enabled);
+  setCaptureSnapshots(enabled) {
+    this.config.captureSnapshots = Boolean(enabled);
     if (!enabled) {
-      this.retinaLocations = [];
-      this.lastRetinaPosition = null;
-    }
-    this.log(`Retina location tracking ${enabled ? 'enabled' : 'disabled'}`, "info");
-  }
-
-  setRetinaLocationChangeThreshold(threshold) {
-    const newThreshold = Math.max(0.01, Math.min(1.0, parseFloat(threshold)));
-    this.config.retinaLocationChangeThreshold = newThreshold;
-    this.log(`Retina location change threshold set to ${(newThreshold * 100).toFixed(1)}%`, "info");
-  }
-
-  setRetinaLocationInterval(seconds) {
-    const newInterval = Math.max(1, parseInt(seconds));
-    this.config.retinaLocationInterval = newInterval;
-    this.log(`Retina location recording interval set to ${newInterval} seconds`, "info");
-  }
-
-  // Set performance mode
-  setPerformanceMode(mode) {
-    if (!mode || mode === "manual") {
-      this.config.performanceMode = null;
-      this.log("Performance mode set to manual - use individual controls", "info");
-      return;
-    }
-    
-    if (!this.performancePresets[mode]) {
-      this.log(`Unknown performance mode "${mode}". Available modes: ${Object.keys(this.performancePresets).join(', ')}`, "error");
-      return;
+      this.pendingSnapshotTriggers = [];
     }
-    
-    this.config.performanceMode = mode;
-    const preset = this.performancePresets[mode];
-    
-    // Apply preset settings
-    this.config.targetFps = preset.targetFps;
-    this.config.frameSkip = preset.frameSkip;
-    this.config.pauseOnIdle = preset.pauseOnIdle;
-    this.config.reducedCanvas = preset.reducedCanvas;
-    
-    this.log(`Performance mode changed to "${mode}": ${preset.description}`, "success");
-    this.log(`New settings - FPS: ${preset.targetFps}, Frame Skip: ${preset.frameSkip}, Pause on Idle: ${preset.pauseOnIdle}, Reduced Canvas: ${preset.reducedCanvas}`, "info");
+    this.log(`Evidence snapshots ${enabled ? 'enabled' : 'disabled'}`, "info");
   }
 
-  // Set sensitivity mode
-  setSensitivityMode(mode) {
-    if (!mode || mode === "manual") {
-      this.config.sensitivityMode = null;
-      this.log("Sensitivity mode set to manual - use individual gaze controls", "info");
+  setSnapshotBlurFaces(mode) {
+    if (!["none", "others", "all"].includes(mode)) {
+      this.log(`Invalid snapshot face blurring "${mode}". Available: none, others, all`, "error");
       return;
     }
-    
-    if (!this.sensitivityPresets[mode]) {
-      this.log(`Unknown sensitivity mode "${mode}". Available modes: ${Object.keys(this.sensitivityPresets).join(', ')}`, "error");
-      return;
-    }
-    
-    this.config.sensitivityMode = mode;
-    const preset = this.sensitivityPresets[mode];
-    
-    // Apply preset settings
-    this.config.horizontalThreshold = preset.horizontalThreshold;
-    this.config.verticalThreshold = preset.verticalThreshold;
-    this.config.gazeHistorySize = preset.gazeHistorySize;
-    
-    this.log(`Sensitivity mode changed to "${mode}": ${preset.description}`, "success");
-    this.log(`New settings - Horizontal: ${preset.horizontalThreshold}, Vertical: ${preset.verticalThreshold}, Smoothing: ${preset.gazeHistorySize} frames`, "info");
-  }
-
-  // Get available performance modes
-  getPerformanceModes() {
-    return Object.keys(this.performancePresets).map(mode => ({
-      value: mode,
-      label: mode.charAt(0).toUpperCase() + mode.slice(1),
-      description: this.performancePresets[mode].description
-    }));
-  }
-
-  // Get available sensitivity modes
-  getSensitivityModes() {
-    return Object.keys(this.sensitivityPresets).map(mode => ({
-      value: mode,
-      label: mode.charAt(0).toUpperCase() + mode.slice(1),
-      description: this.sensitivityPresets[mode].description
-    }));
+    this.config.snapshotBlurFaces = mode;
+    this.log(`Snapshot face blurring set to "${mode}"`, "info");
   }
 
-  // Batch update method for multiple settings
-  updateSettings(settings) {
-    const validSettings = {
-      performanceMode: (val) => this.setPerformanceMode(val),
-      sensitivityMode: (val) => this.setSensitivityMode(val),
-      targetFps: (val) => this.setFrameRate(val),
-      frameSkip: (val) => this.setFrameSkip(val),
-      pauseOnIdle: (val) => this.setPauseOnIdle(val),
-      reducedCanvas: (val) => this.setReducedCanvas(val),
-      horizontalThreshold: (val) => this.setHorizontalThreshold(val),
-      verticalThreshold: (val) => this.setVerticalThreshold(val),
-      gazeHistorySize: (val) => this.setGazeHistorySize(val),
+  getSettingHandlers() {
+    return {
+      ...super.getSettingHandlers(),
       showGazeVector: (val) => this.setShowGazeVector(val),
       showEyePoints: (val) => this.setShowEyePoints(val),
       showFaceRectangle: (val) => this.setShowFaceRectangle(val),
-      enableLogs: (val) => this.setEnableLogs(val),
-      trackRetinaLocations: (val) => this.setTrackRetinaLocations(val),
-      retinaLocationChangeThreshold: (val) => this.setRetinaLocationChangeThreshold(val),
-      retinaLocationInterval: (val) => this.setRetinaLocationInterval(val)
-    };
-
-    Object.keys(settings).forEach(key => {
-      if (validSettings[key]) {
-        validSettings[key](settings[key]);
-      }
-    });
-  }
-
-  // Set tracking data posting interval
-  setTrackingDataInterval(seconds) {
-    const newInterval = Math.max(0, parseInt(seconds));
-    this.config.postTrackingDataInterval = newInterval;
-    
-    if (this.isRunning) {
-      if (newInterval > 0 && this.config.onPostTrackingData) {
-        this.startTrackingDataTimer();
-        this.log(`Tracking data interval changed to ${newInterval} seconds`, "info");
-      } else {
-        this.stopTrackingDataTimer();
-        this.log("Tracking data posting disabled", "info");
-      }
-    } else {
-      this.log(`Tracking data interval set to ${newInterval} seconds (will start when tracking begins)`, "info");
-    }
-  }
-
-  // Set tracking data callback
-  setTrackingDataCallback(callback) {
-    this.config.onPostTrackingData = callback;
-    
-    if (this.isRunning) {
-      if (callback && this.config.postTrackingDataInterval > 0) {
-        this.startTrackingDataTimer();
-        this.log("Tracking data callback set and timer started", "info");
-      } else {
-        this.stopTrackingDataTimer();
-        this.log("Tracking data callback removed and timer stopped", "info");
-      }
-    } else {
-      this.log("Tracking data callback set (will start when tracking begins)", "info");
-    }
-  }
-
-  // Force post tracking data immediately
-  forcePostTrackingData() {
-    if (!this.config.onPostTrackingData) {
-      this.log("No tracking data callback configured", "warning");
-      return;
-    }
-    
-    this.postTrackingData();
-    this.log("Tracking data posted immediately", "info");
-  }
-
-  getStats() {
-    let currentAwayTime = this.totalAwayTime;
-    if (this.awayStartTime !== null) {
-      currentAwayTime += Date.now() - this.awayStartTime;
-    }
-
-    let currentDistractedTime = this.totalDistractedTime;
-    if (this.distractedStartTime !== null) {
-      currentDistractedTime += Date.now() - this.distractedStartTime;
-    }
-
-    return {
-      faceCount: this.faceCount,
-      faceCountChanges: this.faceCountChanges,
-      awayTime: Math.floor(currentAwayTime / 1000),
-      distractedTime: Math.floor(currentDistractedTime / 1000),
-      processingFps: this.processingFps,
-      framesSkipped: this.framesSkipped,
-      canvasUpdates: this.canvasUpdates,
-      gazeState: this.lastGazeState,
-      isRunning: this.isRunning,
-      isIdle: this.isIdle
+      captureSnapshots: (val) => this.setCaptureSnapshots(val),
+      snapshotBlurFaces: (val) => this.setSnapshotBlurFaces(val),
+      // Failures are already reported through cameraError
+      deviceId: (val) => this.switchCamera(val).catch(() => {}),
     };
   }
 
@@ -1333,26 +7124,48 @@ class Gazer {
     return this.isModelLoaded;
   }
 
-  isActive() {
-    return this.isRunning;
-  }
-
   destroy() {
     if (this.isRunning) {
       this.stop();
     }
     
-    // Ensure tracking data timer is stopped
-    this.stopTrackingDataTimer();
+    if (this.backend) {
+      this.backend.close();
+      this.backend = null;
+      this.isModelLoaded = false;
+    }
     
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
     
-    this.log("Gazer instance destroyed", "info");
+    this.hideHeatmapOverlay();
+    super.destroy();
   }
 }
 
+// Expose backends for injection and subclassing
+Gazer.Backend = GazerBackend;
+Gazer.LegacyMediaPipeBackend = LegacyMediaPipeBackend;
+Gazer.FaceLandmarkerBackend = FaceLandmarkerBackend;
+Gazer.MockBackend = MockBackend;
+Gazer.WorkerBackend = WorkerBackend;
+Gazer.WorkerHost = GazerWorkerHost;
+Gazer.Camera = GazerCamera;
+Gazer.CalibrationModel = GazeCalibrationModel;
+Gazer.FaceTracker = FaceTracker;
+Gazer.EyeMovementClassifier = EyeMovementClassifier;
+Gazer.Filters = GAZER_FILTERS;
+Gazer.SessionRecorder = SessionRecorder;
+Gazer.TrackingDataTransport = TrackingDataTransport;
+Gazer.Stream = GazerStream;
+Gazer.Heatmap = GazeHeatmap;
+Gazer.RulesEngine = IncidentRulesEngine;
+Gazer.ProctoringRules = GAZER_PROCTORING_RULES;
+Gazer.Core = GazerCore;
+Gazer.Error = GazerError;
+Gazer.ErrorCodes = GAZER_ERROR_CODES;
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Gazer;
@@ -1361,4 +7174,7 @@ if (typeof module !== 'undefined' && module.exports) {
 // Export for ES6 modules
 if (typeof window !== 'undefined') {
   window.Gazer = Gazer;
+} else if (typeof self !== 'undefined') {
+  // Web Workers: module workers through import(), classic workers through importScripts()
+  self.Gazer = Gazer;
 }
\ No newline at end of file